@@ -3,7 +3,80 @@ const GEMINI_API_KEY =
     PropertiesService.getScriptProperties().getProperty("GEMINI_API_KEY");
 const GEMINI_MODEL = "gemini-3-flash-preview"; // Default model
 const GEMINI_PRO_MODEL = "gemini-3-pro-preview"; // Pro model
-const MAX_HISTORY_LENGTH = 20; // Max messages PER CONVERSATION (per DM or per Space property)
+const AVAILABLE_MODELS = [GEMINI_MODEL, GEMINI_PRO_MODEL]; // Models a space can choose as its default in /settings
+const MAX_HISTORY_LENGTH = 20; // Default cap on messages PER CONVERSATION (per DM, Space or Thread), on top of the token budget
+const MAX_HISTORY_DEPTH = 100; // Largest history depth a space can choose in /settings
+const THINKING_LEVELS = ["LOW", "HIGH"];
+const DEFAULT_THINKING_LEVEL = "LOW";
+const THOUGHT_SUMMARY_MAX_CHARS = 4000; // Longest thought summary shown on a response card
+const FUNCTION_TOOLS_KEY = "functions"; // Settings key of the local function tools (see FUNCTION_TOOL_REGISTRY)
+const AVAILABLE_TOOLS = {
+    googleSearch: "Google Search",
+    urlContext: "URL context",
+    [FUNCTION_TOOLS_KEY]: "Local functions (dates, units, Sheet lookup)",
+    codeExecution: "Code execution",
+}; // Gemini tools by settings key; built-in tools use their request field name
+const DEFAULT_TOOLS = ["googleSearch", "urlContext"]; // Tools enabled when a space has not chosen any
+const MAX_FUNCTION_CALL_ROUNDS = 5; // Most rounds of local function calls in one turn before giving up
+const FUNCTION_CALL_TIME_BUDGET_MS = 15000; // No new round of function calls starts after this long in a synchronous reply (Chat waits 30s)
+const ASYNC_FUNCTION_CALL_TIME_BUDGET_MS = 120000; // The same for an asynchronous reply (executions are capped at 6 minutes)
+const TOOL_RESULT_HISTORY_MAX_CHARS = 500; // Longest function result kept in the stored history
+const CODE_SECTION_MAX_CHARS = 6000; // Longest code or code output shown in a response card section
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024; // Largest attachment passed to Gemini
+const INLINE_ATTACHMENT_MAX_BYTES = 4 * 1024 * 1024; // Larger attachments are uploaded to the Gemini Files API and sent as fileData
+const SUPPORTED_ATTACHMENT_MIME_TYPES = [
+    "image/png",
+    "image/jpeg",
+    "image/webp",
+    "image/heic",
+    "image/heif",
+    "application/pdf",
+    "text/plain",
+    "text/csv",
+    "text/html",
+    "text/markdown",
+];
+const ASYNC_REPLY_JOB_PREFIX = "asyncReply_"; // Script Property prefix for queued asynchronous replies
+const ASYNC_REPLY_HANDLER = "processAsyncReplies"; // Function run by the time-driven trigger
+const ASYNC_REPLY_TIME_BUDGET_MS = 4 * 60 * 1000; // Stop picking up jobs after this long (executions are capped at 6 minutes)
+const ASYNC_REPLY_PLACEHOLDER = "_Thinking…_ I'll update this message when the answer is ready.";
+const CHAT_API_BASE_URL = "https://chat.googleapis.com/v1/"; // Chat REST API, called with app authentication
+const CHAT_APP_SCOPE = "https://www.googleapis.com/auth/chat.bot"; // Scope of the app's service account token
+const GOOGLE_OAUTH_TOKEN_URL = "https://oauth2.googleapis.com/token";
+const CHAT_APP_TOKEN_CACHE_KEY = "chat_app_token"; // Script cache key of the service account's access token
+const CONTINUE_PROMPT =
+    "Continue your previous answer exactly where it stopped. Do not repeat anything you already wrote.";
+const PERSONA_MAX_LENGTH = 4000; // Max characters of a space persona (stored in the space's settings property)
+const DEFAULT_ATTACHMENT_PROMPT = "Please describe the attached file(s)."; // Used when a message has attachments but no text
+const CONTEXT_MESSAGE_MAX_CHARS = 4000; // Longest quoted or thread message added to a prompt as context
+const MESSAGE_CONTEXT_MAX_CHARS = 8000; // Total cap on the quoted and thread messages added to a prompt
+const MAX_THREAD_CONTEXT_MESSAGES = 20; // Largest allowed THREAD_CONTEXT_MESSAGES
+const SPEAKER_PROMPT_NOTE = "Please ignore this unless prompting about past conversations."; // Follows "Message from <name>." in stored prompts
+const EXPORT_FORMATS = { markdown: "Markdown", json: "JSON", doc: "Google Doc" }; // /export formats, by argument
+const HISTORY_PAGE_SIZE = 10; // Messages per page of the /history viewer
+const HISTORY_PREVIEW_CHARS = 200; // Longest preview of a message in the /history viewer
+const DEFAULT_HISTORY_TOKEN_BUDGET = 32000; // Max tokens of history (plus summary) sent per turn; override with HISTORY_TOKEN_BUDGET
+const SUMMARY_MAX_WORDS = 250; // Target length of the rolling summary of pruned turns
+const PRUNE_BATCH_RATIO = 0.5; // Once pruning is needed, history is cut to this share of its token budget and depth, so summaries are made every few turns rather than on every turn
+const PROPERTY_CHUNK_MAX_BYTES = 8000; // Max bytes per history chunk (Script Property values are limited to ~9KB)
+const HISTORY_LOCK_TIMEOUT_MS = 10000; // How long a turn waits for the lock to merge and save its history
+const EVENT_DEDUPE_PREFIX = "event_"; // Script cache prefix for handled message events
+const EVENT_DEDUPE_SECONDS = 600; // How long a handled message is remembered (Chat retries within this window)
+const EVENT_IN_PROGRESS = "IN_PROGRESS"; // Stored while the first delivery of a message is still being handled
+const EVENT_DEDUPE_LOCK_TIMEOUT_MS = 5000; // How long a message waits for the lock to check whether it was already handled
+const EVENT_BUSY_MESSAGE = "I'm busy with other messages right now. Please send yours again in a moment."; // Private reply when that check times out
+const DEFAULT_MAX_RETRIES = 3; // Retries of a Gemini call that failed with 429/5xx; override with GEMINI_MAX_RETRIES
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000; // First backoff delay, doubled on each retry; override with GEMINI_RETRY_BASE_DELAY_MS
+const DEFAULT_RETRY_MAX_DELAY_MS = 8000; // Longest single backoff delay; override with GEMINI_RETRY_MAX_DELAY_MS
+const DEFAULT_RETRY_BUDGET_MS = 15000; // Time allowed for retries of a synchronous reply (Chat waits 30s); override with GEMINI_RETRY_BUDGET_MS
+const ASYNC_RETRY_BUDGET_MS = 90000; // Time allowed for retries of an asynchronous reply (no Chat deadline)
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const MODEL_FALLBACKS = { [GEMINI_PRO_MODEL]: GEMINI_MODEL }; // Model to use when a model stays unavailable (MODEL_FALLBACK=OFF disables)
+
+// --- History Scopes ---
+// SPACE: one history shared by the whole space. THREAD: one history per Chat thread.
+const HISTORY_SCOPE_SPACE = "SPACE";
+const HISTORY_SCOPE_THREAD = "THREAD";
 
 // --- Command IDs ---
 // Ensure these IDs match the commands configured in your Google Cloud Console for the Chat App API
@@ -12,6 +85,15 @@ const CHAT_COMMAND_ID = 3; // /chat
 const NEW_CHAT_COMMAND_ID = 4; // /newchat
 const PRO_COMMAND_ID = 5; // /pro
 const SOURCE_COMMAND_ID = 6; // /source
+const HISTORY_SCOPE_COMMAND_ID = 7; // /historyscope
+const PERSONA_COMMAND_ID = 8; // /persona
+const SETTINGS_COMMAND_ID = 9; // /settings (configure it to open a dialog)
+const USAGE_COMMAND_ID = 10; // /usage
+const HELP_COMMAND_ID = 11; // /help
+const EXPORT_COMMAND_ID = 12; // /export
+const HISTORY_COMMAND_ID = 13; // /history
+const UNDO_COMMAND_ID = 14; // /undo
+const RETRY_COMMAND_ID = 15; // /retry
 
 function hardResetAuth() {
   ScriptApp.invalidateAuth();
@@ -62,9 +144,9 @@ console.info = function (/** @type {any[]} */ ...args) {
 
 // --- Helper Function for Property Keys ---
 /**
- * Generates the Script Property key used to store history for a specific conversation.
+ * Generates the history store key used to store history for a specific conversation.
  * @param {string} spaceName The name of the space (e.g., "spaces/AAA..." or "dm/BBB...").
- * @return {string} The Script Property key (e.g., "spaces/AAA..._history").
+ * @return {string} The history store key (e.g., "spaces/AAA..._history").
  */
 function getHistoryPropertyKey(spaceName) {
     if (!spaceName) {
@@ -75,883 +157,6623 @@ function getHistoryPropertyKey(spaceName) {
 }
 
 /**
- * Clears the conversation history for a given space by deleting its Script Property.
- * @param {string} conversationKey The key (space name) for which to clear history.
- * @param {object} userForResponse The event.user object, used for potentially private responses and display name.
- * @param {string} spaceType The type of the space ('DM' or 'ROOM').
- * @return {object} A Google Chat response object (Card V2).
+ * Checks whether a history store key holds history belonging to a space.
+ * Matches the space-wide history, every per-thread history inside the space, their rolling
+ * summaries and their chunks.
+ * @param {string} propertyKey The history store key to test.
+ * @param {string} spaceName The name of the space (e.g., "spaces/AAA...").
+ * @return {boolean} True if the property stores history (or a history chunk) for the space.
  */
-function clearConversationHistory(conversationKey, userForResponse, spaceType) {
-    if (!conversationKey) {
-        console.error("clearConversationHistory called without a conversationKey.");
-        return createCardResponse(
-            "An error occurred: Missing conversation key.",
-            userForResponse
-        );
+function isHistoryPropertyKeyForSpace(propertyKey, spaceName) {
+    if (!propertyKey || !spaceName) {
+        return false;
+    }
+    const spaceHistoryKey = getHistoryPropertyKey(spaceName);
+    if (propertyKey === spaceHistoryKey || propertyKey.startsWith(`${spaceHistoryKey}_`)) {
+        return true;
     }
+    // Thread names look like "spaces/AAA.../threads/CCC...", so thread histories share the space prefix.
+    if (!propertyKey.startsWith(`${spaceName}/threads/`)) {
+        return false;
+    }
+    const threadPart = propertyKey.substring(`${spaceName}/threads/`.length);
+    return /^[^/]+_history(_.+)?$/.test(threadPart);
+}
 
-    const propertyKey = getHistoryPropertyKey(conversationKey);
-    if (!propertyKey) {
-        return createCardResponse(
-            "An error occurred: Could not generate history key.",
-            userForResponse
-        );
+/**
+ * Deletes every history entry (space-wide and per-thread, including chunks) that belongs to a space, and the
+ * Drive files of the media saved in those histories (see saveResponseMedia).
+ * @param {string} spaceName The name of the space (e.g., "spaces/AAA...").
+ * @return {number} The number of stored entries deleted.
+ */
+function clearAllHistoryForSpace(spaceName) {
+    if (!spaceName) {
+        console.error("clearAllHistoryForSpace called without spaceName");
+        return 0;
     }
+    const store = getHistoryStore();
+    const keysToDelete = store
+        .keys(spaceName)
+        .filter((key) => isHistoryPropertyKeyForSpace(key, spaceName));
 
+    // The media file IDs are only recorded in the histories, so they are collected before the keys go
+    const historySuffix = "_history"; // See getHistoryPropertyKey
+    const mediaFileIds = keysToDelete
+        .filter((key) => key.endsWith(historySuffix))
+        .flatMap((key) => getHistoryMediaFileIds(loadConversationHistory(key.slice(0, -historySuffix.length))));
+
+    keysToDelete.forEach((key) => store.remove(key));
     console.log(
-        `Attempting to clear history for space key ${conversationKey} (Property: ${propertyKey}, Space Type: ${spaceType})`
+        `CLEAR_SPACE_HISTORY: Deleted ${keysToDelete.length} history entr${keysToDelete.length === 1 ? "y" : "ies"} for space ${spaceName} (${store.name} store).`
     );
+    if (mediaFileIds.length > 0) {
+        const deletedCount = deleteDriveFiles(mediaFileIds);
+        console.log(`CLEAR_SPACE_HISTORY: Deleted ${deletedCount} of ${mediaFileIds.length} saved media file(s) for space ${spaceName}.`);
+    }
+    return keysToDelete.length;
+}
+
+// --- History Storage Backends ---
+// Every history read and write goes through a store object with this interface:
+//   name            {string}  Backend name used in logs.
+//   maxValueBytes   {number}  Largest value the backend accepts; larger values are chunked.
+//   get(key)        {string|null}
+//   set(key, value)
+//   setAll(values)  Writes several key/value pairs in one call where the backend supports it.
+//   remove(key)
+//   keys(prefix)    {string[]} Every key currently stored, or only those starting with prefix (if given).
+//                   Backends should narrow the scan by prefix where they can; chunked writes list a
+//                   single value's chunks this way.
+// The HISTORY_STORE script property selects the backend: PROPERTIES (default), CACHE, SHEET or MEMORY.
+
+const HISTORY_STORE_PROPERTIES = "PROPERTIES";
+const HISTORY_STORE_CACHE = "CACHE";
+const HISTORY_STORE_SHEET = "SHEET";
+const HISTORY_STORE_MEMORY = "MEMORY";
+
+const CACHE_STORE_EXPIRATION_SECONDS = 21600; // CacheService maximum (6 hours)
+const CACHE_STORE_INDEX_KEY = "history_store_index"; // CacheService cannot list keys, so the store keeps its own index
+const SHEET_STORE_SHEET_NAME = "HistoryStore";
+const SHEET_STORE_MAX_CELL_CHARS = 45000; // Sheets cells hold up to 50,000 characters
+
+let activeHistoryStore = null; // Resolved once per execution by getHistoryStore()
+const memoryStoreData = {}; // Backing data for the MEMORY store; lives only for the current execution
+
+/**
+ * Returns the history store selected by the HISTORY_STORE script property.
+ * Falls back to Script Properties if the property is missing, unknown, or the backend cannot be created.
+ * @return {object} The active history store.
+ */
+function getHistoryStore() {
+    if (activeHistoryStore) {
+        return activeHistoryStore;
+    }
     const scriptProperties = PropertiesService.getScriptProperties();
-    const viewer = spaceType === "DM" ? userForResponse : null;
-    const location = spaceType === "DM" ? "DM" : "space";
-    const initiatorName = userForResponse?.displayName || "User";
+    const backend = (
+        scriptProperties.getProperty("HISTORY_STORE") || HISTORY_STORE_PROPERTIES
+    ).toUpperCase();
 
     try {
-        // Check if property exists before trying to delete
-        if (scriptProperties.getProperty(propertyKey) !== null) {
-            scriptProperties.deleteProperty(propertyKey);
-            console.log(
-                `History cleared (property ${propertyKey} deleted) for space ${conversationKey} by ${initiatorName}`
-            );
-            const message = `Conversation history for this ${location} has been cleared by ${initiatorName}.`;
-            return createCardResponse(message, viewer); // Pass calculated viewer (null for ROOMs)
-        } else {
-            console.log(
-                `No history property found to clear for space key ${conversationKey} (Property: ${propertyKey})`
-            );
-            return createCardResponse(
-                `No conversation history found for this ${location} to clear.`,
-                viewer
-            ); // Pass calculated viewer
+        switch (backend) {
+            case HISTORY_STORE_CACHE:
+                activeHistoryStore = createCacheHistoryStore();
+                break;
+            case HISTORY_STORE_SHEET:
+                activeHistoryStore = createSheetHistoryStore(
+                    scriptProperties.getProperty("HISTORY_SHEET_ID")
+                );
+                break;
+            case HISTORY_STORE_MEMORY:
+                activeHistoryStore = createMemoryHistoryStore(memoryStoreData);
+                break;
+            case HISTORY_STORE_PROPERTIES:
+                activeHistoryStore = createScriptPropertiesHistoryStore();
+                break;
+            default:
+                console.warn(
+                    `HISTORY_STORE: Unknown backend "${backend}". Using Script Properties.`
+                );
+                activeHistoryStore = createScriptPropertiesHistoryStore();
         }
     } catch (e) {
-        console.error(`Error deleting script property ${propertyKey}: ${e}`);
-        return createCardResponse(
-            `An error occurred while trying to clear history for this ${location}.`,
-            viewer
+        console.error(
+            `HISTORY_STORE: Could not create backend "${backend}": ${e}. Using Script Properties.`
         );
+        activeHistoryStore = createScriptPropertiesHistoryStore();
     }
+    console.log(`HISTORY_STORE: Using ${activeHistoryStore.name} store.`);
+    return activeHistoryStore;
 }
 
 /**
- * Creates a private response containing the URL to the Apps Script project source.
- * @param {object} userForResponse The event.user object for the private response.
- * @return {object} A Google Chat response object (Card V2).
+ * Overrides the active history store for the rest of the execution (used by tests).
+ * @param {object|null} store The store to use, or null to re-read HISTORY_STORE on next use.
  */
-function getSourceCodeResponse(userForResponse) {
-    try {
-        const scriptId = ScriptApp.getScriptId();
-        const scriptUrl = `https://script.google.com/d/${scriptId}/edit`;
-        const message = `You can view and edit my source code here:\n${scriptUrl}`;
-        // Always make this response private to the user who requested it.
-        return createCardResponse(message, userForResponse);
-    } catch (e) {
-        console.error(`Error getting script ID for /source command: ${e}`);
-        return createCardResponse(
-            "Sorry, I was unable to retrieve my own source code URL.",
-            userForResponse
-        );
-    }
+function setHistoryStore(store) {
+    activeHistoryStore = store;
 }
 
 /**
- * Main message handler for incoming Google Chat events (specifically MESSAGE type).
- * Routes requests to appropriate handlers like handleConversationTurn or clearConversationHistory.
- * Conversation history is managed using individual Script Properties per space.
- *
- * @param {object} event The event object triggered by a user message in Google Chat.
- * @return {object} A Google Chat response object (e.g., Card V2 message) or empty object.
+ * Creates a history store backed by Script Properties (~9KB per value, ~500KB in total).
+ * @return {object} The store.
  */
-function onMessage(event) {
-    let conversationKey = null; // The space name (e.g., spaces/AAA..., dm/BBB...)
-    let userPrompt = null;
-    let isSlashCommand = false;
-    let isMentioned = false;
-    const botUserId =
-        PropertiesService.getScriptProperties().getProperty("BOT_USER_ID");
-    let spaceType = null;
-    let modelToUse = GEMINI_MODEL; // Default to the standard flash model
+function createScriptPropertiesHistoryStore() {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    return {
+        name: HISTORY_STORE_PROPERTIES,
+        maxValueBytes: PROPERTY_CHUNK_MAX_BYTES,
+        get: (key) => scriptProperties.getProperty(key),
+        set: (key, value) => {
+            scriptProperties.setProperty(key, value);
+        },
+        setAll: (values) => {
+            scriptProperties.setProperties(values);
+        },
+        remove: (key) => {
+            scriptProperties.deleteProperty(key);
+        },
+        keys: (prefix = "") => scriptProperties.getKeys().filter((key) => key.startsWith(prefix)),
+    };
+}
 
-    // --- Determine Conversation Key and Check Event Type ---
-    if (event.type === "MESSAGE" && event.message) {
-        console.log(
-            `Received message event in space ${event.space?.name} (Type: ${event.space?.type}) from user ${event.user?.name}`
+/**
+ * Creates a history store backed by the script cache (~100KB per value).
+ * Entries expire after CACHE_STORE_EXPIRATION_SECONDS without being written, so history is
+ * forgotten after a few idle hours. Keys are tracked in an index entry because CacheService
+ * cannot list its keys.
+ * @return {object} The store.
+ */
+function createCacheHistoryStore() {
+    const cache = CacheService.getScriptCache();
+    const readIndex = () => {
+        try {
+            const index = JSON.parse(cache.get(CACHE_STORE_INDEX_KEY) || "[]");
+            return Array.isArray(index) ? index : [];
+        } catch (e) {
+            return [];
+        }
+    };
+    const writeIndex = (index) =>
+        cache.put(
+            CACHE_STORE_INDEX_KEY,
+            JSON.stringify(index),
+            CACHE_STORE_EXPIRATION_SECONDS
         );
-        spaceType = event.space?.type;
-
-        if (spaceType === "DM" || spaceType === "ROOM") {
-            conversationKey = event.space.name; // Key is the space ID
-        } else {
-            console.log("Unhandled space type:", spaceType);
-            return; // Ignore unsupported space types
+    // The index is read, changed and written under the script lock so concurrent writes don't drop keys
+    const updateIndex = (update) => {
+        const { acquired } = withScriptLock(HISTORY_LOCK_TIMEOUT_MS, () => {
+            const index = readIndex();
+            const updatedIndex = update(index);
+            if (updatedIndex !== index) {
+                writeIndex(updatedIndex);
+            }
+        });
+        if (!acquired) {
+            throw new Error("Timed out waiting for the lock on the cache history store index.");
         }
+    };
+    const addToIndex = (newKeys) =>
+        updateIndex((index) => {
+            const missing = newKeys.filter((key) => !index.includes(key));
+            return missing.length > 0 ? index.concat(missing) : index;
+        });
 
-        // --- Handle Slash Commands (/chat, /clearhistory, /newchat, /pro) ---
-        if (event.message.slashCommand) {
-            isSlashCommand = true;
-            const commandId = String(event.message.slashCommand.commandId);
-            console.log(
-                `Slash command received: ID=${commandId} in space key ${conversationKey}`
+    return {
+        name: HISTORY_STORE_CACHE,
+        maxValueBytes: 90000,
+        get: (key) => cache.get(key),
+        set: (key, value) => {
+            cache.put(key, value, CACHE_STORE_EXPIRATION_SECONDS);
+            addToIndex([key]);
+        },
+        setAll: (values) => {
+            cache.putAll(values, CACHE_STORE_EXPIRATION_SECONDS);
+            addToIndex(Object.keys(values));
+        },
+        remove: (key) => {
+            cache.remove(key);
+            updateIndex((index) =>
+                index.includes(key) ? index.filter((indexedKey) => indexedKey !== key) : index
             );
+        },
+        // Drop index entries whose values have expired. Only the keys with the prefix are checked.
+        keys: (prefix = "") => {
+            const index = readIndex().filter((key) => key.startsWith(prefix));
+            if (index.length === 0) {
+                return [];
+            }
+            const present = cache.getAll(index);
+            return index.filter((key) => present[key] !== undefined);
+        },
+    };
+}
 
-            switch (commandId) {
-                case String(CHAT_COMMAND_ID):
-                    userPrompt = event.message.argumentText
-                        ? event.message.argumentText.trim()
-                        : "";
-                    if (!userPrompt) {
-                        return createCardResponse(
-                            "Please provide your message after the `/chat` command.",
-                            event.user // Potentially private response
-                        );
-                    }
-                    break; // Proceed to handleConversationTurn preparation
-
-                case String(PRO_COMMAND_ID):
-                    modelToUse = GEMINI_PRO_MODEL;
-                    userPrompt = event.message.argumentText
-                        ? event.message.argumentText.trim()
-                        : "";
-                    if (!userPrompt) {
-                        return createCardResponse(
-                            "Please provide your message after the `/pro` command.",
-                            event.user
-                        );
-                    }
-                    console.log("Using PRO model for this request via slash command.");
-                    break; // Proceed to handleConversationTurn preparation
-
-                case String(CLEAR_HISTORY_COMMAND_ID):
-                    console.log(
-                        `Clear history command detected via slash command in space key ${conversationKey}`
-                    );
-                    return clearConversationHistory(
-                        conversationKey,
-                        event.user,
-                        spaceType
-                    );
+/**
+ * Creates a history store backed by a Google Sheet (one key/value row per entry).
+ * The sheet named SHEET_STORE_SHEET_NAME is created in the spreadsheet if it does not exist.
+ * Rows are found with a TextFinder on the key column, and listing keys reads only that column, so no
+ * operation reads the values of every entry.
+ * @param {string} spreadsheetId The ID of the spreadsheet (HISTORY_SHEET_ID script property).
+ * @return {object} The store.
+ * @throws {Error} If no spreadsheet ID is configured or the spreadsheet cannot be opened.
+ */
+function createSheetHistoryStore(spreadsheetId) {
+    if (!spreadsheetId) {
+        throw new Error("HISTORY_SHEET_ID script property is not set.");
+    }
+    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    const sheet =
+        spreadsheet.getSheetByName(SHEET_STORE_SHEET_NAME) ||
+        spreadsheet.insertSheet(SHEET_STORE_SHEET_NAME);
 
-                case String(NEW_CHAT_COMMAND_ID):
-                    userPrompt = event.message.argumentText
-                        ? event.message.argumentText.trim()
-                        : "";
-                    console.log(
-                        `/newchat command detected in space key ${conversationKey} with prompt: "${userPrompt}"`
-                    );
+    const findRow = (key) => {
+        if (sheet.getLastRow() === 0) {
+            return -1;
+        }
+        const cell = sheet
+            .getRange(1, 1, sheet.getLastRow(), 1)
+            .createTextFinder(key)
+            .matchCase(true)
+            .matchEntireCell(true)
+            .findNext();
+        return cell ? cell.getRow() : -1; // 1-based
+    };
+    // Cells are formatted as plain text before writing, so JSON chunks that look like formulas ("=..."),
+    // numbers or booleans are stored exactly as written
+    const setValue = (key, value) => {
+        const row = findRow(key);
+        if (row === -1) {
+            sheet.getRange(sheet.getLastRow() + 1, 1, 1, 2).setNumberFormat("@").setValues([[key, value]]);
+        } else {
+            sheet.getRange(row, 2).setNumberFormat("@").setValue(value);
+        }
+    };
 
-                    if (!userPrompt) {
-                        return createCardResponse(
-                            "Please provide your starting message after the `/newchat` command.",
-                            event.user // Potentially private response
-                        );
-                    }
+    return {
+        name: HISTORY_STORE_SHEET,
+        maxValueBytes: SHEET_STORE_MAX_CELL_CHARS,
+        get: (key) => {
+            const row = findRow(key);
+            return row === -1 ? null : String(sheet.getRange(row, 2).getValue());
+        },
+        set: (key, value) => setValue(key, value),
+        setAll: (values) => {
+            Object.keys(values).forEach((key) => setValue(key, values[key]));
+        },
+        remove: (key) => {
+            const row = findRow(key);
+            if (row !== -1) {
+                sheet.deleteRow(row);
+            }
+        },
+        keys: (prefix = "") => {
+            const lastRow = sheet.getLastRow();
+            return lastRow === 0
+                ? []
+                : sheet
+                    .getRange(1, 1, lastRow, 1)
+                    .getValues()
+                    .map(([key]) => String(key))
+                    .filter((key) => key.startsWith(prefix));
+        },
+    };
+}
 
-                    // 1. Clear existing history for this key directly
-                    const propertyKeyToClear = getHistoryPropertyKey(conversationKey);
-                    if (propertyKeyToClear) {
-                        try {
-                            const scriptProperties = PropertiesService.getScriptProperties();
-                            if (scriptProperties.getProperty(propertyKeyToClear) !== null) {
-                                scriptProperties.deleteProperty(propertyKeyToClear);
-                                console.log(
-                                    `Cleared prior history (property ${propertyKeyToClear}) for space key ${conversationKey} due to /newchat.`
-                                );
-                            } else {
-                                console.log(
-                                    `No prior history property (${propertyKeyToClear}) found for space key ${conversationKey} during /newchat.`
-                                );
-                            }
-                        } catch (e) {
-                            console.error(
-                                `Error deleting history property ${propertyKeyToClear} during /newchat: ${e}`
-                            );
-                        }
-                    } else {
-                        console.error(
-                            "Could not generate property key during /newchat for key:",
-                            conversationKey
-                        );
-                    }
+/**
+ * Creates an in-memory history store. Nothing is persisted between executions, so this
+ * backend is meant for tests and dry runs.
+ * @param {object} [data] The object to keep entries in. A fresh object is used if omitted.
+ * @param {number} [maxValueBytes=Infinity] Value size limit, lowered in tests to exercise chunking.
+ * @return {object} The store.
+ */
+function createMemoryHistoryStore(data = {}, maxValueBytes = Infinity) {
+    return {
+        name: HISTORY_STORE_MEMORY,
+        maxValueBytes,
+        get: (key) => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null),
+        set: (key, value) => {
+            data[key] = String(value);
+        },
+        setAll: (values) => {
+            Object.keys(values).forEach((key) => {
+                data[key] = String(values[key]);
+            });
+        },
+        remove: (key) => {
+            delete data[key];
+        },
+        keys: (prefix = "") => Object.keys(data).filter((key) => key.startsWith(prefix)),
+    };
+}
 
-                    // 2. Start the new conversation turn preparation
-                    console.log(
-                        "Proceeding to handleConversationTurn preparation for /newchat prompt."
-                    );
-                    break; // Proceed to handleConversationTurn preparation
+// --- Chunked Value Storage ---
+/**
+ * Returns the prefix shared by every chunk key of a chunked value.
+ * @param {string} storeKey The base key (which holds the manifest).
+ * @return {string} The chunk key prefix (e.g., "spaces/AAA..._history_chunk_").
+ */
+function getChunkKeyPrefix(storeKey) {
+    return `${storeKey}_chunk_`;
+}
 
-                case String(SOURCE_COMMAND_ID):
-                    console.log(`Source command detected by ${event.user?.displayName}`);
-                    return getSourceCodeResponse(event.user);
+/**
+ * Returns the key of a single chunk.
+ * @param {string} storeKey The base key.
+ * @param {string} version The write version the chunk belongs to.
+ * @param {number} index The chunk index (0-based).
+ * @return {string} The chunk key (e.g., "spaces/AAA..._history_chunk_lq2x9a_0").
+ */
+function getChunkKey(storeKey, version, index) {
+    return `${getChunkKeyPrefix(storeKey)}${version}_${index}`;
+}
 
-                default:
-                    return createCardResponse(
-                        `Sorry, I don't recognize the command ID ${commandId}. Use /chat, /pro, /clearhistory, /newchat, or /source.`,
-                        event.user // Potentially private response
-                    );
-            } // End switch
+/**
+ * Splits a string into pieces whose UTF-8 encoding fits within maxBytes.
+ * Never splits a character (including surrogate pairs) across two pieces.
+ * @param {string} text The string to split.
+ * @param {number} maxBytes The maximum UTF-8 byte length of each piece.
+ * @return {string[]} The pieces, in order.
+ */
+function splitByUtf8Bytes(text, maxBytes) {
+    const pieces = [];
+    let current = "";
+    let currentBytes = 0;
+    for (const char of text) {
+        const codePoint = char.codePointAt(0);
+        const charBytes =
+            codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        if (currentBytes + charBytes > maxBytes) {
+            pieces.push(current);
+            current = "";
+            currentBytes = 0;
         }
-        // --- Handle Regular Messages ---
-        else {
-            // Not a slash command
-            if (event.user?.type === "BOT" || !event.message.text) {
-                console.log("Ignoring bot message or empty regular message.");
-                return;
-            }
-            userPrompt = event.message.text.trim(); // Initial prompt is the full text
+        current += char;
+        currentBytes += charBytes;
+    }
+    if (current || pieces.length === 0) {
+        pieces.push(current);
+    }
+    return pieces;
+}
 
-            // Check for @mentions
-            let mentionedBotId = null;
-            if (event.message.annotations) {
-                for (const annotation of event.message.annotations) {
-                    if (annotation.type === "USER_MENTION") {
-                        const mentionedUserName = annotation.userMention?.user?.name;
-                        if (mentionedUserName && mentionedUserName === botUserId) {
-                            isMentioned = true;
-                            mentionedBotId = mentionedUserName;
-                            console.log(`Bot mention MATCHED! ID: ${mentionedUserName}`);
-                            break;
-                        }
-                    }
-                }
-            }
+/**
+ * Reads a value written by writeChunkedValue.
+ * The base key holds either the value itself (small values) or a manifest
+ * ({ version, chunks }) pointing at numbered chunk entries that are reassembled in order.
+ * @param {object} store The history store to read from.
+ * @param {string} storeKey The base key.
+ * @return {string|null} The stored value, or null if nothing is stored.
+ * @throws {Error} If the manifest points at a missing chunk.
+ */
+function readChunkedValue(store, storeKey) {
+    const storedValue = store.get(storeKey);
+    if (storedValue === null) {
+        return null;
+    }
 
-            // Decide whether to process based on DM or mention
-            if (spaceType === "DM" || isMentioned) {
-                // Extract text after mention if the bot was mentioned, regardless of space type.
-                // This handles cases where a user might @mention the bot even in a DM.
-                if (isMentioned) {
-                    const mentionText = extractTextAfterMention(
-                        event.message.text,
-                        event.message.annotations,
-                        mentionedBotId
-                    );
-                    userPrompt = mentionText !== null ? mentionText : ""; // Final user prompt after potential extraction
-                    console.log(
-                        `Mention text extracted: "${userPrompt}" (Original: "${event.message.text}")`
-                    );
-                }
+    const manifest = parseChunkManifest(storedValue);
+    if (!manifest) {
+        return storedValue; // Small value stored inline
+    }
 
+    let value = "";
+    for (let i = 0; i < manifest.chunks; i++) {
+        const chunkKey = getChunkKey(storeKey, manifest.version, i);
+        const chunk = store.get(chunkKey);
+        if (chunk === null) {
+            throw new Error(
+                `Missing chunk ${i + 1}/${manifest.chunks} (${chunkKey}) for key [${storeKey}]`
+            );
+        }
+        value += chunk;
+    }
+    console.log(
+        `READ_CHUNKED: Reassembled [${storeKey}] from ${manifest.chunks} chunk(s), version ${manifest.version}.`
+    );
+    return value;
+}
 
-                // Check for "Use pro." text trigger (case-insensitive) on the cleaned prompt
-                if (userPrompt.toLowerCase().startsWith("use pro.")) {
-                    modelToUse = GEMINI_PRO_MODEL;
-                    userPrompt = userPrompt.substring("use pro.".length).trim();
-                    console.log(`Using PRO model for this request via text trigger.`);
-                }
+/**
+ * Parses a chunk manifest stored under a base key.
+ * @param {string} storedValue The raw base value.
+ * @return {{version: string, chunks: number}|null} The manifest, or null if the value is not a manifest.
+ */
+function parseChunkManifest(storedValue) {
+    if (!storedValue || storedValue.charAt(0) !== "{") {
+        return null;
+    }
+    try {
+        const manifest = JSON.parse(storedValue);
+        if (
+            manifest &&
+            manifest.chunkManifest === true &&
+            typeof manifest.version === "string" &&
+            Number.isInteger(manifest.chunks)
+        ) {
+            return manifest;
+        }
+    } catch (e) {
+        // Not a manifest; treated as an inline value.
+    }
+    return null;
+}
 
-                // Check for plain text 'clearhistory' command
-                if (userPrompt?.toLowerCase().trim() === "clearhistory") {
-                    console.log(
-                        `Clear history command detected via plain text in space key ${conversationKey}`
-                    );
-                    return clearConversationHistory(
-                        conversationKey,
-                        event.user,
-                        spaceType
-                    ); // Call helper and return
-                }
+/**
+ * Writes a value that may exceed the store's value size limit.
+ * Values up to store.maxValueBytes are stored inline under the base key. Larger values
+ * are split into numbered chunks under a new version: the chunks are written first, then the
+ * manifest under the base key is switched to the new version in a single write, and only then
+ * are chunks from older versions removed. Readers therefore see either the old or the new value,
+ * never a mix of both.
+ * @param {object} store The history store to write to.
+ * @param {string} storeKey The base key.
+ * @param {string} value The value to store.
+ * @return {number} The number of chunks written (0 when stored inline).
+ */
+function writeChunkedValue(store, storeKey, value) {
+    const chunks = splitByUtf8Bytes(value, store.maxValueBytes);
 
-                // Check for other empty prompts
-                if (!userPrompt && spaceType !== "DM") {
-                    console.log(
-                        "Ignoring message with no actionable text after mention (and not 'clearhistory')."
-                    );
-                    return;
-                } else if (!userPrompt && spaceType === "DM") {
-                    console.log("Received empty DM message (and not 'clearhistory').");
-                    return; // Currently ignoring empty DMs
-                }
-                // Proceed to handleConversationTurn preparation for non-command prompts
-            } else {
-                // Message in a Space but not a command or @mention to the bot
-                console.log(
-                    "Ignoring message in SPACE because it's not a DM, not a command, and no matching @mention was detected."
-                );
-                return; // Ignore if not relevant
-            }
-        } // End else (regular message)
+    let keepVersion = null;
+    if (chunks.length === 1) {
+        store.set(storeKey, value);
     } else {
-        console.log("Ignoring event type:", event.type);
-        return; // Ignore non-message events
+        keepVersion =
+            Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+        const chunkValues = {};
+        chunks.forEach((chunk, index) => {
+            chunkValues[getChunkKey(storeKey, keepVersion, index)] = chunk;
+        });
+        store.setAll(chunkValues);
+        store.set(
+            storeKey,
+            JSON.stringify({
+                chunkManifest: true,
+                version: keepVersion,
+                chunks: chunks.length,
+            })
+        );
     }
 
-    // --- Prepare and handle the conversation ---
-    if (conversationKey && userPrompt !== null && userPrompt !== "") {
-        let finalUserPrompt = userPrompt;
-        const displayName = event.user?.displayName;
-
-        if (displayName) {
+    deleteStaleChunks(store, storeKey, keepVersion);
+    return keepVersion ? chunks.length : 0;
+}
 
-            finalUserPrompt = `Message from ${displayName}. Please ignore this unless prompting about past conversations. ${userPrompt}`;
-            console.log(
-                `Adding user display name prefix. Original prompt: "${userPrompt}", Final prompt: "${finalUserPrompt}"`
-            );
-        } else {
-            console.log("Not adding prefix: User display name missing.");
-        }
+/**
+ * Deletes a chunked value: its base entry and every chunk.
+ * @param {object} store The history store to delete from.
+ * @param {string} storeKey The base key.
+ * @return {boolean} True if a base entry or any chunk existed.
+ */
+function deleteChunkedValue(store, storeKey) {
+    const existed = store.get(storeKey) !== null;
+    store.remove(storeKey);
+    const deletedChunks = deleteStaleChunks(store, storeKey, null);
+    return existed || deletedChunks > 0;
+}
 
-        console.log(`\n--- Turn Start ---`);
-        console.log(`Conversation Key (Space): ${conversationKey}`);
-        const sourceType = isSlashCommand
-            ? event.message.slashCommand.commandName || "SlashCmd" // Use commandName if available
-            : isMentioned
-                ? "@mention"
-                : "DM";
+/**
+ * Deletes chunks of a value that do not belong to the given version
+ * (leftovers from earlier writes or from writes that failed part-way).
+ * @param {object} store The history store to delete from.
+ * @param {string} storeKey The base key.
+ * @param {string|null} keepVersion The version whose chunks must be kept, or null to delete all chunks.
+ * @return {number} The number of chunk entries deleted.
+ */
+function deleteStaleChunks(store, storeKey, keepVersion) {
+    const chunkPrefix = getChunkKeyPrefix(storeKey);
+    const keepPrefix = keepVersion ? `${chunkPrefix}${keepVersion}_` : null;
+    const staleKeys = store
+        .keys(chunkPrefix)
+        .filter((key) => !(keepPrefix && key.startsWith(keepPrefix)));
+    staleKeys.forEach((key) => store.remove(key));
+    if (staleKeys.length > 0) {
         console.log(
-            `Final User prompt for API (${sourceType}): "${finalUserPrompt}"`
+            `DELETE_CHUNKS: Removed ${staleKeys.length} stale chunk(s) for [${storeKey}].`
         );
+    }
+    return staleKeys.length;
+}
 
-        // Pass the potentially modified prompt and selected model to the handler
-        return handleConversationTurn(conversationKey, finalUserPrompt, modelToUse);
-    } else if (!isSlashCommand && userPrompt === "") {
-        console.log(
-            "Conditions not met to handle conversation turn (e.g., prompt was effectively empty after processing)."
-        );
-    } else if (isSlashCommand && userPrompt === "") {
-        // Already handled by the specific slash command checks, do nothing more.
-    } else {
-        // Other conditions not met (e.g. no conversationKey)
-        console.log(
-            "Conditions not met to handle conversation turn (e.g., no conversation key)."
+// --- Space Settings ---
+/**
+ * Generates the Script Property key used to store per-space settings.
+ * @param {string} spaceName The name of the space (e.g., "spaces/AAA...").
+ * @return {string} The Script Property key (e.g., "spaces/AAA..._settings").
+ */
+function getSpaceSettingsPropertyKey(spaceName) {
+    if (!spaceName) {
+        console.error("getSpaceSettingsPropertyKey called without spaceName");
+        return null;
+    }
+    return `${spaceName}_settings`;
+}
+
+/**
+ * Loads the settings object stored for a space.
+ * @param {string} spaceName The name of the space.
+ * @return {object} The stored settings, or an empty object if none are stored or they are invalid.
+ */
+function loadSpaceSettings(spaceName) {
+    const propertyKey = getSpaceSettingsPropertyKey(spaceName);
+    if (!propertyKey) {
+        return {};
+    }
+    const jsonSettings =
+        PropertiesService.getScriptProperties().getProperty(propertyKey);
+    if (!jsonSettings) {
+        return {};
+    }
+    try {
+        const settings = JSON.parse(jsonSettings);
+        return settings && typeof settings === "object" && !Array.isArray(settings)
+            ? settings
+            : {};
+    } catch (e) {
+        console.error(
+            `LOAD_SETTINGS: Error parsing stored settings for property [${propertyKey}]: ${e}`
         );
+        return {};
     }
-    return {}; // Explicitly return empty for unhandled cases or handled commands that didn't return earlier
 }
 
 /**
- * Handles a single conversation turn: loads history, adds new prompt, prunes history,
- * calls the selected Gemini API model, processes response, updates history, saves it,
- * and returns the response.
- *
- * @param {string} conversationKey The unique identifier for the conversation (space name).
- * @param {string} userPrompt The user's message text for this turn.
- * @param {string} [model=GEMINI_MODEL] The Gemini model to use for this turn. Defaults to the standard model.
- * @return {object} A Google Chat response object (Card V2) containing the AI's response or an error message.
+ * Saves the settings object for a space. Deletes the property when the object is empty.
+ * @param {string} spaceName The name of the space.
+ * @param {object} settings The settings to store.
  */
-function handleConversationTurn(conversationKey, userPrompt, model = GEMINI_MODEL) {
-    console.log(
-        `HANDLE_TURN: Processing turn for key: ${conversationKey} with model: ${model}`
-    );
+function saveSpaceSettings(spaceName, settings) {
+    const propertyKey = getSpaceSettingsPropertyKey(spaceName);
+    if (!propertyKey) {
+        return;
+    }
+    const scriptProperties = PropertiesService.getScriptProperties();
+    if (!settings || Object.keys(settings).length === 0) {
+        scriptProperties.deleteProperty(propertyKey);
+        return;
+    }
+    scriptProperties.setProperty(propertyKey, JSON.stringify(settings));
+}
 
-    if (!conversationKey || !userPrompt) {
-        console.error(
-            "HANDLE_TURN: handleConversationTurn called with missing key or prompt."
+/**
+ * Returns the history scope for a space. Spaces without a stored scope share a single history, so spaces
+ * that were using the bot before per-thread history keep their earlier conversation. Rooms the bot is added
+ * to now are set to per-thread history in onAddToSpace.
+ * @param {string} spaceName The name of the space.
+ * @return {string} HISTORY_SCOPE_SPACE or HISTORY_SCOPE_THREAD.
+ */
+function getHistoryScope(spaceName) {
+    const storedScope = loadSpaceSettings(spaceName).historyScope;
+    if (storedScope === HISTORY_SCOPE_SPACE || storedScope === HISTORY_SCOPE_THREAD) {
+        return storedScope;
+    }
+    return HISTORY_SCOPE_SPACE;
+}
+
+/**
+ * Determines the conversation key for an event based on the space's history scope.
+ * @param {object} event The Google Chat event object.
+ * @return {string|null} The thread name when the space uses per-thread history and the message
+ *     has a thread, otherwise the space name. Null if the event has no space.
+ */
+function getConversationKey(event) {
+    const spaceName = event?.space?.name;
+    if (!spaceName) {
+        return null;
+    }
+    const threadName = event?.message?.thread?.name;
+    if (
+        threadName &&
+        getHistoryScope(spaceName) === HISTORY_SCOPE_THREAD
+    ) {
+        return threadName;
+    }
+    return spaceName;
+}
+
+/**
+ * Shows or changes the history scope of a space (/historyscope [space|thread]). Only space managers and
+ * admins may change it (see canManageSpace).
+ * @param {string} spaceName The name of the space.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @param {string} argumentText The text after the command ("space", "thread" or empty to view).
+ * @param {object} userForResponse The event.user object.
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A Google Chat response object (Card V2).
+ */
+function handleHistoryScopeCommand(spaceName, spaceType, argumentText, userForResponse, threadName = null) {
+    const requestedScope = (argumentText || "").trim().toUpperCase();
+    const currentScope = getHistoryScope(spaceName);
+    const describeScope = (scope) =>
+        scope === HISTORY_SCOPE_THREAD
+            ? "each thread keeps its own history"
+            : "the whole space shares one history";
+
+    if (!requestedScope) {
+        return createCardResponse(
+            `History scope for this ${spaceType === "DM" ? "DM" : "space"} is \`${currentScope.toLowerCase()}\`: ${describeScope(currentScope)}.\nUse \`/historyscope space\` or \`/historyscope thread\` to change it.`,
+            userForResponse,
+            { threadName }
         );
-        return createCardResponse("Error: Missing conversation key or prompt."); // Probably private error
     }
 
-    // Load history specifically for this conversation
-    let conversationHistory = loadConversationHistory(conversationKey); // Returns [] if not found/error
+    if (requestedScope !== HISTORY_SCOPE_SPACE && requestedScope !== HISTORY_SCOPE_THREAD) {
+        return createCardResponse(
+            "Please use `/historyscope space` or `/historyscope thread`.",
+            userForResponse,
+            { threadName }
+        );
+    }
 
-    // Add current user message to history
-    conversationHistory.push({
-        role: "user",
-        parts: [{ text: userPrompt }],
-    });
+    if (!canManageSpace(userForResponse, spaceName, spaceType)) {
+        return createSpaceManagerOnlyResponse(userForResponse, spaceName, "change the history scope", threadName);
+    }
+    const settings = loadSpaceSettings(spaceName);
+    settings.historyScope = requestedScope;
+    saveSpaceSettings(spaceName, settings);
     console.log(
-        `HANDLE_TURN: Added user prompt to history. History length now: ${conversationHistory.length}`
+        `History scope for space ${spaceName} set to ${requestedScope} by ${userForResponse?.displayName}`
     );
-
-    // Prune history before sending to API
-    conversationHistory = pruneHistory(conversationHistory);
-    console.log(
-        `HANDLE_TURN: History length after pruning: ${conversationHistory.length}`
+    return createCardResponse(
+        `History scope changed to \`${requestedScope.toLowerCase()}\` by ${userForResponse?.displayName || "User"}: ${describeScope(requestedScope)}. Existing history is kept.`,
+        null,
+        { threadName }
     );
+}
 
-    // Call Gemini API with the selected model
-    const modelResponse = callGeminiApiWithHistory(conversationHistory, model); // Pass the potentially pruned history and model
+/**
+ * Returns the space a conversation key belongs to (thread keys look like "spaces/AAA.../threads/CCC...").
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @return {string|null} The space name.
+ */
+function getSpaceNameFromConversationKey(conversationKey) {
+    if (!conversationKey) {
+        return null;
+    }
+    return conversationKey.split("/threads/")[0];
+}
 
-    // Add model response to history (if not an error)
-    const isErrorResponse =
-        typeof modelResponse === "string" &&
-        (modelResponse.startsWith("ERROR:") || modelResponse.startsWith("Sorry,"));
+// --- Personas & System Instructions ---
+/**
+ * Builds the system instruction for a space: the admin's global default (DEFAULT_SYSTEM_INSTRUCTION
+ * script property) followed by the space's own persona, if any.
+ * @param {string} spaceName The name of the space.
+ * @return {string} The combined system instruction, or an empty string if neither is set.
+ */
+function buildSystemInstruction(spaceName) {
+    const globalInstruction = (
+        PropertiesService.getScriptProperties().getProperty("DEFAULT_SYSTEM_INSTRUCTION") || ""
+    ).trim();
+    const persona = spaceName ? (loadSpaceSettings(spaceName).persona || "").trim() : "";
+    return [globalInstruction, persona].filter(Boolean).join("\n\n");
+}
 
-    if (!isErrorResponse && modelResponse) {
-        conversationHistory.push({
-            role: "model",
-            parts: [{ text: modelResponse }],
-        });
-        console.log(
-            `HANDLE_TURN: Added model response to history. History length now: ${conversationHistory.length}`
-        );
+/**
+ * Views, sets or resets the persona (system instruction) of a space or DM.
+ * Usage: /persona, /persona set <instruction>, /persona reset. Only space managers and admins may set or
+ * reset it (see canManageSpace).
+ * @param {string} spaceName The name of the space.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @param {string} argumentText The text after the command.
+ * @param {object} userForResponse The event.user object.
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A Google Chat response object (Card V2).
+ */
+function handlePersonaCommand(spaceName, spaceType, argumentText, userForResponse, threadName = null) {
+    const argument = (argumentText || "").trim();
+    const [subcommand] = argument.split(/\s+/);
+    const location = spaceType === "DM" ? "DM" : "space";
+    const settings = loadSpaceSettings(spaceName);
+    const initiatorName = userForResponse?.displayName || "User";
 
-        // Prune again AFTER adding the model's response
-        conversationHistory = pruneHistory(conversationHistory);
-        console.log(
-            `HANDLE_TURN: History length after post-response pruning: ${conversationHistory.length}`
-        );
+    switch ((subcommand || "").toLowerCase()) {
+        case "": {
+            const globalInstruction = PropertiesService.getScriptProperties().getProperty(
+                "DEFAULT_SYSTEM_INSTRUCTION"
+            );
+            const lines = [
+                settings.persona
+                    ? `Persona for this ${location}:\n${formatCodeBlock(settings.persona)}`
+                    : `No persona is set for this ${location}.`,
+            ];
+            if (globalInstruction) {
+                lines.push("An admin-defined default instruction also applies and comes first.");
+            }
+            lines.push("Use `/persona set [instruction]` to change it or `/persona reset` to remove it.");
+            return createCardResponse(lines.join("\n"), userForResponse, { threadName });
+        }
+
+        case "set": {
+            if (!canManageSpace(userForResponse, spaceName, spaceType)) {
+                return createSpaceManagerOnlyResponse(userForResponse, spaceName, "change the persona", threadName);
+            }
+            const persona = argument.substring(subcommand.length).trim();
+            if (!persona) {
+                return createCardResponse(
+                    "Please provide the instruction after `/persona set`, e.g. `/persona set You are a concise policy analyst.`",
+                    userForResponse,
+                    { threadName }
+                );
+            }
+            if (persona.length > PERSONA_MAX_LENGTH) {
+                return createCardResponse(
+                    `Sorry, the persona is too long (${persona.length} characters, limit ${PERSONA_MAX_LENGTH}).`,
+                    userForResponse,
+                    { threadName }
+                );
+            }
+            settings.persona = persona;
+            saveSpaceSettings(spaceName, settings);
+            console.log(`Persona for space ${spaceName} set by ${initiatorName}.`);
+            return createCardResponse(
+                `Persona for this ${location} was updated by ${initiatorName}:\n${formatCodeBlock(persona)}`,
+                spaceType === "DM" ? userForResponse : null,
+                { threadName }
+            );
+        }
+
+        case "reset":
+            if (!canManageSpace(userForResponse, spaceName, spaceType)) {
+                return createSpaceManagerOnlyResponse(userForResponse, spaceName, "reset the persona", threadName);
+            }
+            delete settings.persona;
+            saveSpaceSettings(spaceName, settings);
+            console.log(`Persona for space ${spaceName} reset by ${initiatorName}.`);
+            return createCardResponse(
+                `Persona for this ${location} was reset by ${initiatorName}.`,
+                spaceType === "DM" ? userForResponse : null,
+                { threadName }
+            );
+
+        default:
+            return createCardResponse(
+                "Please use `/persona`, `/persona set [instruction]` or `/persona reset`.",
+                userForResponse,
+                { threadName }
+            );
+    }
+}
+
+// --- Conversation Settings (/settings) ---
+// Stored per space or DM in the space's settings property, next to historyScope and persona.
+// getConversationSettings fills in the defaults (the constants above) for anything not set.
+const ACTION_OPEN_SETTINGS = "openSettingsDialog";
+const ACTION_SAVE_SETTINGS = "saveSettingsDialog";
+
+/**
+ * Returns the effective model, thinking level, tools and history depth of a space or DM.
+ * Stored values that are no longer valid (e.g. a retired model) are replaced by the defaults.
+ * @param {string} spaceName The name of the space.
+ * @return {{model: string, thinkingLevel: string, tools: Array<string>, historyDepth: number, showThoughts: boolean}}
+ *     The settings.
+ */
+function getConversationSettings(spaceName) {
+    const stored = spaceName ? loadSpaceSettings(spaceName) : {};
+    const defaults = {
+        model: GEMINI_MODEL,
+        thinkingLevel: DEFAULT_THINKING_LEVEL,
+        tools: DEFAULT_TOOLS,
+        historyDepth: MAX_HISTORY_LENGTH,
+        showThoughts: false,
+    };
+    const { settings, errors } = validateConversationSettings({ ...defaults, ...stored });
+    if (errors.length > 0) {
+        console.warn(`SETTINGS: Ignoring invalid stored settings for ${spaceName}: ${errors.join(" ")}`);
+        return { ...defaults, ...settings };
+    }
+    return settings;
+}
+
+/**
+ * Validates conversation settings, e.g. the values submitted from the /settings dialog.
+ * @param {object} input The raw values.
+ * @param {string} input.model One of AVAILABLE_MODELS.
+ * @param {string} input.thinkingLevel One of THINKING_LEVELS (case-insensitive).
+ * @param {Array<string>} [input.tools] Keys of AVAILABLE_TOOLS; missing or empty means no tools.
+ * @param {(string|number)} input.historyDepth Whole number of messages between 1 and MAX_HISTORY_DEPTH.
+ * @param {boolean} [input.showThoughts] Whether answers include a thought summary.
+ * @return {{settings: object, errors: Array<string>}} The valid settings, and a message for each invalid value
+ *     (invalid values are left out of settings).
+ */
+function validateConversationSettings(input) {
+    const settings = {};
+    const errors = [];
+
+    if (AVAILABLE_MODELS.includes(input.model)) {
+        settings.model = input.model;
     } else {
-        console.warn(
-            `HANDLE_TURN: Model returned an error or empty response. Not adding to history. Response: ${modelResponse}`
-        );
-        // No pruning needed here as nothing was added.
+        errors.push(`Unknown model "${input.model}".`);
+    }
+
+    const thinkingLevel = String(input.thinkingLevel || "").toUpperCase();
+    if (THINKING_LEVELS.includes(thinkingLevel)) {
+        settings.thinkingLevel = thinkingLevel;
+    } else {
+        errors.push(`Thinking level must be one of ${THINKING_LEVELS.join(", ")}.`);
+    }
+
+    const tools = Array.isArray(input.tools) ? input.tools : [];
+    const unknownTools = tools.filter((tool) => !(tool in AVAILABLE_TOOLS));
+    if (unknownTools.length === 0) {
+        settings.tools = Object.keys(AVAILABLE_TOOLS).filter((tool) => tools.includes(tool));
+    } else {
+        errors.push(`Unknown tool(s): ${unknownTools.join(", ")}.`);
+    }
+
+    const historyDepth = Number(input.historyDepth);
+    if (Number.isInteger(historyDepth) && historyDepth >= 1 && historyDepth <= MAX_HISTORY_DEPTH) {
+        settings.historyDepth = historyDepth;
+    } else {
+        errors.push(`History depth must be a whole number from 1 to ${MAX_HISTORY_DEPTH}.`);
     }
 
-    // Save the updated history back to its specific Script Property
-    saveConversationHistory(conversationKey, conversationHistory);
+    settings.showThoughts = input.showThoughts === true;
 
-    // Return the model's response (or the error message)
-    return createCardResponse(modelResponse || "No response received.");
+    return { settings, errors };
 }
 
 /**
- * Helper function to create a simple Card V2 response object.
- * @param {string} messageText The text to display, which will be rendered as Markdown.
- * @param {object} [viewer] Optional. If provided, makes the message private to this user ({ name: "users/...", ... }). If null, message is public.
- * @return {object} The Google Chat response object.
+ * Handles /settings. Opens the settings dialog when the command is configured to open a dialog
+ * (REQUEST_DIALOG event); otherwise replies privately with the current settings and a button that opens it.
+ * @param {object} event The MESSAGE event.
+ * @param {string} spaceName The name of the space.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A dialog action response or a Google Chat response object (Card V2).
  */
-function createCardResponse(messageText, viewer = null) {
-    console.log(`Card Response Text: ${messageText}`);
-    const card = {
-        cardsV2: [
+function handleSettingsCommand(event, spaceName, spaceType, threadName = null) {
+    if (event.isDialogEvent && event.dialogEventType === "REQUEST_DIALOG") {
+        return createSettingsDialogResponse(spaceName, spaceType);
+    }
+
+    const settings = getConversationSettings(spaceName);
+    const location = spaceType === "DM" ? "DM" : "space";
+    const toolNames = settings.tools.map((tool) => AVAILABLE_TOOLS[tool]).join(", ") || "none";
+    const response = createCardResponse(
+        `Settings for this ${location}:\n • Default model: ${settings.model}\n • Thinking level: ${settings.thinkingLevel}\n • Tools: ${toolNames}\n • History depth: ${settings.historyDepth} messages\n • Thought summaries: ${settings.showThoughts ? "shown" : "hidden"}`,
+        event.user,
+        { threadName }
+    );
+    response.cardsV2[0].card.sections.push({
+        widgets: [
             {
-                cardId:
-                    "messageCard_" +
-                    Date.now() +
-                    "_" +
-                    Math.random().toString(36).substring(2, 9), // More unique ID
-                card: {
-                    sections: [
+                buttonList: {
+                    buttons: [
                         {
-                            widgets: [
-                                {
-                                    textParagraph: {
-                                        text:
-                                            messageText && String(messageText).trim()
-                                                ? String(messageText)
-                                                : "(No response text generated)",
-                                        textSyntax: "MARKDOWN",
-                                    },
-                                },
-                            ],
+                            text: "Edit settings",
+                            onClick: { action: { function: ACTION_OPEN_SETTINGS, interaction: "OPEN_DIALOG" } },
                         },
                     ],
                 },
             },
         ],
-    };
-
-    if (viewer && viewer.name) {
-        console.log(
-            `createCardResponse: Creating PRIVATE response for viewer ${viewer.name}`
-        );
-        card.privateMessageViewer = viewer;
-    } else {
-        console.log(
-            "createCardResponse: Creating PUBLIC response (no viewer specified)."
-        );
-    }
-
-    return card;
+    });
+    return response;
 }
 
 /**
- * Calls the Gemini API with the provided conversation history and model.
- * Uses OAuth2 (ScriptApp.getOAuthToken) instead of API Key.
- *
- * @param {Array<{role: string, parts: Array<{text: string}>}>} history The conversation history array.
- * @param {string} model The Gemini model to use.
- * @return {string} The text response from Gemini, or an error message string.
+ * Handles the settings dialog: opening it from the "Edit settings" button, saving the submitted form,
+ * and closing it on cancel. Invalid input re-opens the dialog with the errors listed.
+ * @param {object} event The CARD_CLICKED event.
+ * @param {string} actionFunction The invoked action (ACTION_OPEN_SETTINGS or ACTION_SAVE_SETTINGS).
+ * @return {object} A dialog action response.
  */
-function callGeminiApiWithHistory(history, model) {
-    if (!history || history.length === 0) {
-        console.error("Attempted to call Gemini with empty history.");
-        return "Sorry, something went wrong (internal history error).";
+function handleSettingsDialogAction(event, actionFunction) {
+    const spaceName = event.space?.name;
+    const spaceType = event.space?.type;
+    if (event.dialogEventType === "CANCEL_DIALOG") {
+        return createDialogStatusResponse("OK");
+    }
+    if (actionFunction === ACTION_OPEN_SETTINGS || event.dialogEventType === "REQUEST_DIALOG") {
+        return createSettingsDialogResponse(spaceName, spaceType);
     }
 
-    // We now rely on the Bearer token in the header.
-    const geminiApiEndpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
-
-    console.log(`Calling Gemini API endpoint for model: ${model}`);
-    const token = ScriptApp.getOAuthToken();
-    if (token) {
-        console.log(`OAuth Token present. First 5 chars: ${token.substring(0, 5)}...`);
-    } else {
-        console.error("OAuth Token IS MISSING from ScriptApp.getOAuthToken()!");
+    const formInputs = event.common?.formInputs || {};
+    const readValues = (name) => formInputs[name]?.stringInputs?.value || [];
+    const { settings, errors } = validateConversationSettings({
+        model: readValues("model")[0],
+        thinkingLevel: readValues("thinkingLevel")[0],
+        tools: readValues("tools"),
+        historyDepth: readValues("historyDepth")[0],
+        showThoughts: readValues("showThoughts").includes("true"),
+    });
+    if (settings.model === GEMINI_PRO_MODEL && !canUseProModel(event.user)) {
+        logAccessDenial(event.user, spaceName, "user is not in PRO_USERS (tried to make Pro the default model)");
+        errors.push("You're not authorized to make the Pro model the default.");
+    }
+    if (!canManageSpace(event.user, spaceName, spaceType)) {
+        logAccessDenial(event.user, spaceName, "user is not a space manager or admin (tried to change the settings)");
+        errors.push("Only space managers and admins can change the settings of this space.");
+    }
+    if (errors.length > 0) {
+        console.warn(`SETTINGS: Rejected settings for ${spaceName}: ${errors.join(" ")}`);
+        return createSettingsDialogResponse(spaceName, spaceType, errors);
     }
 
-    const { filteredHistory, needsLeadingUserRole } = filterAndPrepareHistory(history);
+    saveSpaceSettings(spaceName, { ...loadSpaceSettings(spaceName), ...settings });
+    console.log(
+        `SETTINGS: ${event.user?.displayName || "User"} updated settings for ${spaceName}: ${JSON.stringify(settings)}`
+    );
+    return createDialogStatusResponse("OK", "Settings saved.");
+}
 
-    if (filteredHistory.length === 0 && !needsLeadingUserRole) {
-        console.error("History is empty after filtering adjacent roles.");
-        return "Sorry, something went wrong processing conversation history.";
-    }
+/**
+ * Builds the /settings dialog, pre-filled with the current settings of the space.
+ * @param {string} spaceName The name of the space.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @param {Array<string>} [errors] Validation errors to show above the form.
+ * @return {object} A DIALOG action response.
+ */
+function createSettingsDialogResponse(spaceName, spaceType, errors = []) {
+    const settings = getConversationSettings(spaceName);
+    const createItems = (values, isSelected, getText = (value) => value) =>
+        values.map((value) => ({ text: getText(value), value, selected: isSelected(value) }));
 
-    if (needsLeadingUserRole) {
-        console.warn("History requires leading 'user' role. Prepending a placeholder.");
-        filteredHistory.unshift({
-            role: "user",
-            parts: [{ text: "(Context starts)" }],
-        });
+    const widgets = [];
+    if (errors.length > 0) {
+        widgets.push({ textParagraph: { text: `Please fix the following:\n${errors.join("\n")}` } });
     }
-
-    const payload = {
-        contents: filteredHistory,
-        generationConfig: {
-            thinkingConfig: { thinkingLevel: "LOW" },
+    widgets.push(
+        {
+            selectionInput: {
+                name: "model",
+                label: "Default model",
+                type: "DROPDOWN",
+                items: createItems(AVAILABLE_MODELS, (model) => model === settings.model),
+            },
         },
-        safetySettings: [
-            {
-                category: "HARM_CATEGORY_HARASSMENT",
-                threshold: "BLOCK_LOW_AND_ABOVE"
+        {
+            selectionInput: {
+                name: "thinkingLevel",
+                label: "Thinking level",
+                type: "RADIO_BUTTON",
+                items: createItems(THINKING_LEVELS, (level) => level === settings.thinkingLevel),
             },
-            {
-                category: "HARM_CATEGORY_HATE_SPEECH",
-                threshold: "BLOCK_LOW_AND_ABOVE"
+        },
+        {
+            selectionInput: {
+                name: "tools",
+                label: "Tools",
+                type: "CHECK_BOX",
+                items: createItems(
+                    Object.keys(AVAILABLE_TOOLS),
+                    (tool) => settings.tools.includes(tool),
+                    (tool) => AVAILABLE_TOOLS[tool]
+                ),
             },
-            {
-                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                threshold: "BLOCK_LOW_AND_ABOVE"
+        },
+        {
+            selectionInput: {
+                name: "showThoughts",
+                label: "Thought summaries",
+                type: "SWITCH",
+                items: [{ text: "Show a summary of the model's thinking", value: "true", selected: settings.showThoughts }],
             },
-            {
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_LOW_AND_ABOVE"
+        },
+        {
+            textInput: {
+                name: "historyDepth",
+                label: `History depth (messages, 1-${MAX_HISTORY_DEPTH})`,
+                type: "SINGLE_LINE",
+                value: String(settings.historyDepth),
             },
-        ],
-        tools: [
-            { urlContext: {} },
-            { googleSearch: {} },
-        ],
+        },
+        {
+            buttonList: {
+                buttons: [{ text: "Save", onClick: { action: { function: ACTION_SAVE_SETTINGS } } }],
+            },
+        }
+    );
+
+    return {
+        actionResponse: {
+            type: "DIALOG",
+            dialogAction: {
+                dialog: {
+                    body: {
+                        header: { title: `Settings for this ${spaceType === "DM" ? "DM" : "space"}` },
+                        sections: [{ widgets }],
+                    },
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Builds a response that closes a dialog.
+ * @param {string} statusCode The status code ("OK" closes the dialog).
+ * @param {string} [userFacingMessage] A short confirmation shown to the user.
+ * @return {object} A DIALOG action response.
+ */
+function createDialogStatusResponse(statusCode, userFacingMessage) {
+    const actionStatus = { statusCode };
+    if (userFacingMessage) {
+        actionStatus.userFacingMessage = userFacingMessage;
+    }
+    return { actionResponse: { type: "DIALOG", dialogAction: { actionStatus } } };
+}
+
+/**
+ * Clears the conversation history for a given space by deleting its entries from the history store.
+ * Removes the space-wide history as well as every per-thread history in the space.
+ * @param {string} spaceName The space name for which to clear history.
+ * @param {object} userForResponse The event.user object, used for potentially private responses and display name.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A Google Chat response object (Card V2).
+ */
+function clearConversationHistory(spaceName, userForResponse, spaceType, threadName = null) {
+    if (!spaceName) {
+        console.error("clearConversationHistory called without a spaceName.");
+        return createCardResponse(
+            "An error occurred: Missing conversation key.",
+            userForResponse,
+            { threadName }
+        );
+    }
+
+    console.log(
+        `Attempting to clear all history for space ${spaceName} (Space Type: ${spaceType})`
+    );
+    const viewer = spaceType === "DM" ? userForResponse : null;
+    const location = spaceType === "DM" ? "DM" : "space";
+    const initiatorName = userForResponse?.displayName || "User";
+
+    try {
+        const clearedCount = clearAllHistoryForSpace(spaceName);
+        if (clearedCount > 0) {
+            console.log(
+                `History cleared (${clearedCount} properties deleted) for space ${spaceName} by ${initiatorName}`
+            );
+            const message = `Conversation history for this ${location} has been cleared by ${initiatorName}.`;
+            return createCardResponse(message, viewer, { threadName }); // Pass calculated viewer (null for ROOMs)
+        } else {
+            console.log(`No history properties found to clear for space ${spaceName}`);
+            return createCardResponse(
+                `No conversation history found for this ${location} to clear.`,
+                viewer,
+                { threadName }
+            ); // Pass calculated viewer
+        }
+    } catch (e) {
+        console.error(`Error deleting history properties for space ${spaceName}: ${e}`);
+        return createCardResponse(
+            `An error occurred while trying to clear history for this ${location}.`,
+            viewer,
+            { threadName }
+        );
+    }
+}
+
+/**
+ * Creates a private response containing the URL to the Apps Script project source.
+ * @param {object} userForResponse The event.user object for the private response.
+ * @return {object} A Google Chat response object (Card V2).
+ */
+function getSourceCodeResponse(userForResponse) {
+    try {
+        const scriptId = ScriptApp.getScriptId();
+        const scriptUrl = `https://script.google.com/d/${scriptId}/edit`;
+        const message = `You can view and edit my source code here:\n${scriptUrl}`;
+        // Always make this response private to the user who requested it.
+        return createCardResponse(message, userForResponse);
+    } catch (e) {
+        console.error(`Error getting script ID for /source command: ${e}`);
+        return createCardResponse(
+            "Sorry, I was unable to retrieve my own source code URL.",
+            userForResponse
+        );
+    }
+}
+
+// --- Command Registry ---
+// Every slash command and plain-text alias is declared here; onMessage dispatches through the registry,
+// and /help and the welcome message are generated from it. Entry fields:
+//   id: The command ID configured for the slash command in the Google Cloud Console.
+//   name: The slash command name, without "/".
+//   aliases: Plain-text forms (lower case) recognized at the start of a DM or after an @mention. The rest of
+//       the message is the argument; aliases of commands without an argument only match the whole message.
+//   argument: ARGUMENT_NONE, ARGUMENT_OPTIONAL or ARGUMENT_REQUIRED. usage describes it for /help.
+//   permission: null (anyone with access to the bot), PERMISSION_PRO (see canUseProModel) or PERMISSION_ADMIN.
+//   handler: function(context) returning a Chat response. Not used by commands that start a turn.
+//   startsTurn: The argument is sent to Gemini as the prompt, with model (or the space's default model).
+//       Prompt directives at the start of the argument are parsed first. beforeTurn(context), if set, runs
+//       after that, so an invalid directive is refused before the command changes anything.
+const ARGUMENT_NONE = "none";
+const ARGUMENT_OPTIONAL = "optional";
+const ARGUMENT_REQUIRED = "required";
+const PERMISSION_PRO = "PRO";
+const PERMISSION_ADMIN = "ADMIN";
+
+const COMMAND_REGISTRY = [
+    {
+        id: CHAT_COMMAND_ID,
+        name: "chat",
+        argument: ARGUMENT_REQUIRED,
+        usage: "[your message]",
+        description: "Chat with the bot.",
+        startsTurn: true,
+    },
+    {
+        id: PRO_COMMAND_ID,
+        name: "pro",
+        aliases: ["use pro."],
+        argument: ARGUMENT_REQUIRED,
+        usage: "[your message]",
+        description: "Ask the Gemini Pro model, for more complex queries.",
+        permission: PERMISSION_PRO,
+        startsTurn: true,
+        model: GEMINI_PRO_MODEL,
+    },
+    {
+        id: NEW_CHAT_COMMAND_ID,
+        name: "newchat",
+        argument: ARGUMENT_REQUIRED,
+        usage: "[your starting message]",
+        description: "Clear the history and start a new conversation.",
+        startsTurn: true,
+        beforeTurn: (context) => {
+            // Clear existing history for the whole space (space-wide and every thread)
+            try {
+                const clearedCount = clearAllHistoryForSpace(context.spaceName);
+                console.log(
+                    `Cleared ${clearedCount} prior history properties for space ${context.spaceName} due to /newchat.`
+                );
+            } catch (e) {
+                console.error(
+                    `Error deleting history properties for space ${context.spaceName} during /newchat: ${e}`
+                );
+            }
+        },
+    },
+    {
+        id: CLEAR_HISTORY_COMMAND_ID,
+        name: "clearhistory",
+        aliases: ["clearhistory"],
+        argument: ARGUMENT_NONE,
+        description: "Clear the conversation history (every thread in the space).",
+        handler: (context) =>
+            clearConversationHistory(context.spaceName, context.user, context.spaceType, context.threadName),
+    },
+    {
+        id: HISTORY_SCOPE_COMMAND_ID,
+        name: "historyscope",
+        argument: ARGUMENT_OPTIONAL,
+        usage: "[space|thread]",
+        description: "View or change whether the space shares one history or keeps one per thread.",
+        handler: (context) =>
+            handleHistoryScopeCommand(
+                context.spaceName,
+                context.spaceType,
+                context.argumentText,
+                context.user,
+                context.threadName
+            ),
+    },
+    {
+        id: PERSONA_COMMAND_ID,
+        name: "persona",
+        argument: ARGUMENT_OPTIONAL,
+        usage: "[set [instruction]|reset]",
+        description: "View, set or reset the persona (system instruction) for the space or DM.",
+        handler: (context) =>
+            handlePersonaCommand(
+                context.spaceName,
+                context.spaceType,
+                context.argumentText,
+                context.user,
+                context.threadName
+            ),
+    },
+    {
+        id: SETTINGS_COMMAND_ID,
+        name: "settings",
+        argument: ARGUMENT_NONE,
+        description: "Choose the default model, thinking level, tools and history depth.",
+        handler: (context) =>
+            handleSettingsCommand(context.event, context.spaceName, context.spaceType, context.threadName),
+    },
+    {
+        id: USAGE_COMMAND_ID,
+        name: "usage",
+        argument: ARGUMENT_NONE,
+        description: "Show your usage today, this week and this month.",
+        handler: (context) => handleUsageCommand(context.user, context.threadName),
+    },
+    {
+        id: EXPORT_COMMAND_ID,
+        name: "export",
+        argument: ARGUMENT_OPTIONAL,
+        usage: "[markdown|json|doc]",
+        description: "Export this conversation to your Drive as Markdown (default), JSON or a Google Doc.",
+        handler: (context) => handleExportCommand(context),
+    },
+    {
+        id: HISTORY_COMMAND_ID,
+        name: "history",
+        argument: ARGUMENT_OPTIONAL,
+        usage: "[page]",
+        description: "Show what the bot remembers of this conversation, with buttons to forget single messages.",
+        handler: (context) =>
+            createHistoryViewerResponse(
+                context.conversationKey,
+                context.user,
+                parseInt(context.argumentText, 10) || 1,
+                context.threadName
+            ),
+    },
+    {
+        id: UNDO_COMMAND_ID,
+        name: "undo",
+        argument: ARGUMENT_NONE,
+        description: "Remove your last question and its answer from the history.",
+        handler: (context) =>
+            handleUndoCommand(context.conversationKey, context.user, context.spaceType, context.threadName),
+    },
+    {
+        id: RETRY_COMMAND_ID,
+        name: "retry",
+        argument: ARGUMENT_NONE,
+        description: "Ask your last question again and replace its answer.",
+        handler: (context) => handleRetryCommand(context),
+    },
+    {
+        id: SOURCE_COMMAND_ID,
+        name: "source",
+        argument: ARGUMENT_NONE,
+        description: "Get a link to the bot's source code.",
+        handler: (context) => getSourceCodeResponse(context.user),
+    },
+    {
+        id: HELP_COMMAND_ID,
+        name: "help",
+        aliases: ["help"],
+        argument: ARGUMENT_NONE,
+        description: "Show this list of commands.",
+        handler: (context) => createHelpResponse(context.user, context.threadName),
+    },
+];
+
+/**
+ * Finds a registry entry by slash command ID.
+ * @param {(string|number)} commandId The command ID from event.message.slashCommand.
+ * @return {object|null} The command, or null if it isn't registered.
+ */
+function findCommandById(commandId) {
+    return COMMAND_REGISTRY.find((command) => String(command.id) === String(commandId)) || null;
+}
+
+/**
+ * Finds a plain-text command alias at the start of a prompt.
+ * @param {string} prompt The message text (after any @mention).
+ * @return {{command: object, alias: string, argumentText: string}|null} The command, the alias that matched
+ *     and the text after it, or null.
+ */
+function matchPlainTextCommand(prompt) {
+    const text = (prompt || "").trim();
+    const lowerText = text.toLowerCase();
+    const candidates = COMMAND_REGISTRY.flatMap((command) =>
+        (command.aliases || []).map((alias) => ({ command, alias }))
+    ).sort((a, b) => b.alias.length - a.alias.length); // Longest alias first
+
+    for (const { command, alias } of candidates) {
+        if (!lowerText.startsWith(alias)) {
+            continue;
+        }
+        const nextChar = text.charAt(alias.length);
+        if (nextChar && /\w/.test(alias.slice(-1)) && !/\s/.test(nextChar)) {
+            continue; // "helpful" is not "help"
+        }
+        const argumentText = text.substring(alias.length).trim();
+        if (command.argument === ARGUMENT_NONE && argumentText) {
+            continue; // Treat e.g. "clearhistory please" as an ordinary prompt
+        }
+        return { command, alias, argumentText };
+    }
+    return null;
+}
+
+/**
+ * Runs a command from the registry after checking its permission and argument rules.
+ * @param {object} command The registry entry.
+ * @param {object} context The invocation.
+ * @param {object} context.event The MESSAGE event.
+ * @param {object} context.user The event.user object.
+ * @param {string} context.conversationKey The conversation key (space or thread name).
+ * @param {string} context.spaceName The space name.
+ * @param {string} context.spaceType The space type ('DM' or 'ROOM').
+ * @param {string} context.threadName The thread to reply in.
+ * @param {string} context.argumentText The text after the command or alias.
+ * @param {boolean} context.hasAttachments True if the message has attachments (they satisfy a required argument).
+ * @param {string} context.invokedAs How the command was written, e.g. "/pro" or "use pro.", for messages.
+ * @return {{response: object}|{turn: {prompt: string, model: (string|null), directives: object}}} A response
+ *     to return, or the prompt (without directives), model and directives (see parsePromptDirectives) of a
+ *     conversation turn to run.
+ */
+function runCommand(command, context) {
+    const permitted =
+        command.permission === PERMISSION_PRO
+            ? canUseProModel(context.user)
+            : command.permission === PERMISSION_ADMIN
+                ? isAdminUser(context.user)
+                : true;
+    if (!permitted) {
+        return {
+            response: createAccessDeniedResponse(
+                context.user,
+                context.spaceName,
+                `command /${command.name} requires ${command.permission} permission`,
+                `Sorry, you're not authorized to use \`${context.invokedAs}\`.`,
+                context.threadName
+            ),
+        };
+    }
+
+    let argumentText = (context.argumentText || "").trim();
+    let directives = null;
+    if (command.startsTurn) {
+        const parsedDirectives = parsePromptDirectives(argumentText);
+        if (parsedDirectives.errors.length > 0) {
+            return {
+                response: createDirectiveErrorResponse(parsedDirectives.errors, context.user, context.threadName),
+            };
+        }
+        argumentText = parsedDirectives.prompt;
+        directives = parsedDirectives.directives;
+    }
+    if (command.argument === ARGUMENT_REQUIRED && !argumentText && !context.hasAttachments) {
+        return {
+            response: createCardResponse(
+                `Please provide ${command.usage.replace(/^\[|\]$/g, "")} after \`${context.invokedAs}\`.`,
+                context.user,
+                { threadName: context.threadName }
+            ),
+        };
+    }
+
+    console.log(
+        `Command /${command.name} (as "${context.invokedAs}") by ${context.user?.displayName} in space ${context.spaceName}`
+    );
+    if (!command.startsTurn) {
+        return { response: command.handler({ ...context, argumentText }) };
+    }
+    if (command.beforeTurn) {
+        command.beforeTurn({ ...context, argumentText });
+    }
+    return { turn: { prompt: argumentText, model: command.model || null, directives } };
+}
+
+/**
+ * Formats a command for help text, e.g. "/pro [your message]".
+ * @param {object} command The registry entry.
+ * @return {string} The command with its usage.
+ */
+function formatCommandUsage(command) {
+    return `/${command.name}${command.usage ? ` ${command.usage}` : ""}`;
+}
+
+/**
+ * Renders the command registry as a private card.
+ * @param {object} userForResponse The event.user object.
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A Google Chat response object (Card V2).
+ */
+function createHelpResponse(userForResponse, threadName = null) {
+    const response = createCardResponse(
+        "Here's what I can do. In spaces, @mention me or use a slash command; in DMs, just type.",
+        userForResponse,
+        { threadName }
+    );
+    const isProAllowed = canUseProModel(userForResponse);
+    const isAdmin = isAdminUser(userForResponse);
+    response.cardsV2[0].card.sections.push({
+        header: "Commands",
+        widgets: COMMAND_REGISTRY.map((command) => {
+            const notes = [];
+            if (command.aliases?.length) {
+                notes.push(`Also: ${command.aliases.map((alias) => `"${alias}"`).join(", ")}`);
+            }
+            if (command.permission === PERMISSION_PRO && !isProAllowed) {
+                notes.push("Not available to you");
+            } else if (command.permission === PERMISSION_ADMIN && !isAdmin) {
+                notes.push("Admins only");
+            }
+            const widget = { decoratedText: { text: formatCommandUsage(command), topLabel: command.description } };
+            if (notes.length > 0) {
+                widget.decoratedText.bottomLabel = notes.join(" · ");
+            }
+            return widget;
+        }),
+    });
+    response.cardsV2[0].card.sections.push({
+        header: "Directives",
+        collapsible: true,
+        uncollapsibleWidgetsCount: 1,
+        widgets: [
+            {
+                textParagraph: {
+                    text: "Start a message with these to change settings for that message only, e.g. `!pro !think=high !nosearch your question`.",
+                    textSyntax: "MARKDOWN",
+                },
+            },
+            ...Object.keys(PROMPT_DIRECTIVES).map((name) => ({
+                decoratedText: { text: formatDirectiveUsage(name), topLabel: PROMPT_DIRECTIVES[name].description },
+            })),
+        ],
+    });
+    return response;
+}
+
+// --- Inline Prompt Directives ---
+// Words such as "!pro !think=high !nosearch !private" at the start of a prompt change the settings of that
+// turn only. They are removed before the prompt is sent to Gemini or stored in history.
+const PROMPT_DIRECTIVES = {
+    pro: {
+        description: "Use the Pro model",
+        apply: (directives) => {
+            directives.model = GEMINI_PRO_MODEL;
+        },
+    },
+    flash: {
+        description: "Use the default Flash model",
+        apply: (directives) => {
+            directives.model = GEMINI_MODEL;
+        },
+    },
+    think: {
+        values: THINKING_LEVELS.map((level) => level.toLowerCase()),
+        description: "Set the thinking level",
+        apply: (directives, value) => {
+            directives.thinkingLevel = value.toUpperCase();
+        },
+    },
+    thoughts: {
+        description: "Show a summary of the model's thinking",
+        apply: (directives) => {
+            directives.includeThoughts = true;
+        },
+    },
+    nothoughts: {
+        description: "Hide the thought summary",
+        apply: (directives) => {
+            directives.includeThoughts = false;
+        },
+    },
+    search: {
+        description: "Turn Google Search on",
+        apply: (directives) => {
+            directives.toolOverrides.googleSearch = true;
+        },
+    },
+    nosearch: {
+        description: "Turn Google Search off",
+        apply: (directives) => {
+            directives.toolOverrides.googleSearch = false;
+        },
+    },
+    url: {
+        description: "Turn URL context on",
+        apply: (directives) => {
+            directives.toolOverrides.urlContext = true;
+        },
+    },
+    nourl: {
+        description: "Turn URL context off",
+        apply: (directives) => {
+            directives.toolOverrides.urlContext = false;
+        },
+    },
+    functions: {
+        description: "Turn local functions (dates, units, Sheet lookup) on",
+        apply: (directives) => {
+            directives.toolOverrides[FUNCTION_TOOLS_KEY] = true;
+        },
+    },
+    nofunctions: {
+        description: "Turn local functions off",
+        apply: (directives) => {
+            directives.toolOverrides[FUNCTION_TOOLS_KEY] = false;
+        },
+    },
+    code: {
+        description: "Let the model write and run code",
+        apply: (directives) => {
+            directives.toolOverrides.codeExecution = true;
+        },
+    },
+    nocode: {
+        description: "Turn code execution off",
+        apply: (directives) => {
+            directives.toolOverrides.codeExecution = false;
+        },
+    },
+    private: {
+        description: "Reply only to you",
+        apply: (directives) => {
+            directives.isPrivate = true;
+        },
+    },
+};
+
+/**
+ * Formats a directive for help and error text, e.g. "!think=low|high".
+ * @param {string} name The directive name.
+ * @return {string} The directive with its allowed values.
+ */
+function formatDirectiveUsage(name) {
+    const values = PROMPT_DIRECTIVES[name].values;
+    return `!${name}${values ? `=${values.join("|")}` : ""}`;
+}
+
+/**
+ * Parses and removes the directives at the start of a prompt. Parsing stops at the first word that
+ * doesn't start with "!" followed by a letter.
+ * @param {string} prompt The prompt.
+ * @return {{prompt: string, directives: {model: (string|undefined), thinkingLevel: (string|undefined),
+ *     includeThoughts: (boolean|undefined), toolOverrides: object, isPrivate: boolean}, errors: Array<string>}} The prompt without directives, the
+ *     requested changes (toolOverrides maps AVAILABLE_TOOLS keys to true or false), and an error per
+ *     unknown or invalid directive.
+ */
+function parsePromptDirectives(prompt) {
+    const directives = { toolOverrides: {}, isPrivate: false };
+    const errors = [];
+    let remaining = (prompt || "").trim();
+
+    let match;
+    while ((match = remaining.match(/^!([a-z][\w-]*)(?:=(\S*))?(?:\s+|$)/i))) {
+        remaining = remaining.substring(match[0].length);
+        const name = match[1].toLowerCase();
+        const value = match[2] === undefined ? undefined : match[2].toLowerCase();
+        const directive = PROMPT_DIRECTIVES[name];
+        if (!directive) {
+            errors.push(`Unknown directive \`!${match[1]}\`.`);
+        } else if (directive.values && !directive.values.includes(value)) {
+            errors.push(`\`!${match[1]}\` needs a value: \`${formatDirectiveUsage(name)}\`.`);
+        } else if (!directive.values && value !== undefined) {
+            errors.push(`\`!${name}\` doesn't take a value.`);
+        } else {
+            directive.apply(directives, value);
+        }
+    }
+    return { prompt: remaining.trim(), directives, errors };
+}
+
+/**
+ * Creates the private reply to a prompt with unknown or invalid directives.
+ * @param {Array<string>} errors The errors from parsePromptDirectives.
+ * @param {object} user The event.user object.
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A private Google Chat response object (Card V2).
+ */
+function createDirectiveErrorResponse(errors, user, threadName = null) {
+    const availableDirectives = Object.keys(PROMPT_DIRECTIVES)
+        .map((name) => `\`${formatDirectiveUsage(name)}\``)
+        .join(", ");
+    return createCardResponse(
+        `${errors.join("\n")}\nAvailable directives: ${availableDirectives}. Put them at the start of your message, e.g. \`!pro !think=high your question\`.`,
+        user,
+        { threadName }
+    );
+}
+
+/**
+ * Applies per-turn tool overrides to a space's enabled tools.
+ * @param {Array<string>} tools The enabled AVAILABLE_TOOLS keys.
+ * @param {object} [toolOverrides] AVAILABLE_TOOLS keys mapped to true (enable) or false (disable).
+ * @return {Array<string>} The tools to use for the turn.
+ */
+function applyToolOverrides(tools, toolOverrides = {}) {
+    return Object.keys(AVAILABLE_TOOLS).filter((tool) =>
+        tool in toolOverrides ? toolOverrides[tool] : tools.includes(tool)
+    );
+}
+
+// --- Duplicate Event Suppression ---
+
+/**
+ * Builds the script cache key that records a handled message event.
+ * @param {string} messageName The message's resource name (spaces/.../messages/...).
+ * @return {string} The cache key.
+ */
+function getEventDedupeKey(messageName) {
+    return `${EVENT_DEDUPE_PREFIX}${messageName}`;
+}
+
+/**
+ * Records that a message event is being handled, unless it already was. Google Chat redelivers
+ * events that time out, so the same message can arrive more than once.
+ *
+ * If the lock can't be acquired in time, the event is reported as busy and nothing is recorded, so the
+ * sender (or a redelivery) can try again: handling a redelivery twice is worse than asking to resend.
+ *
+ * @param {string} messageName The message's resource name.
+ * @return {{isDuplicate: boolean, isBusy: (boolean|undefined), response: (object|undefined)}} For a duplicate,
+ *     the response to return: the cached response of the first delivery, or an empty (no-op) response while
+ *     it is still running.
+ */
+function beginMessageEvent(messageName) {
+    const cache = CacheService.getScriptCache();
+    const key = getEventDedupeKey(messageName);
+    const { acquired, result } = withScriptLock(EVENT_DEDUPE_LOCK_TIMEOUT_MS, () => {
+        const stored = cache.get(key);
+        if (stored === EVENT_IN_PROGRESS) {
+            console.log(`DEDUPE: ${messageName} is still being handled. Ignoring the retry.`);
+            return { isDuplicate: true, response: {} };
+        }
+        if (stored) {
+            console.log(`DEDUPE: ${messageName} was already handled. Returning the cached response.`);
+            try {
+                return { isDuplicate: true, response: JSON.parse(stored) };
+            } catch (e) {
+                console.error(`DEDUPE: Unreadable cached response for ${messageName}: ${e}`);
+                return { isDuplicate: true, response: {} };
+            }
+        }
+        cache.put(key, EVENT_IN_PROGRESS, EVENT_DEDUPE_SECONDS);
+        return { isDuplicate: false };
+    });
+    if (!acquired) {
+        console.warn(
+            `DEDUPE: Could not acquire lock within ${EVENT_DEDUPE_LOCK_TIMEOUT_MS} ms; asking the sender of ${messageName} to try again.`
+        );
+        return { isDuplicate: false, isBusy: true };
+    }
+    return result;
+}
+
+/**
+ * Caches the response to a handled message event, so a redelivery returns it without running the turn again.
+ * A response too large for the script cache is replaced by an empty (no-op) response.
+ *
+ * @param {string} messageName The message's resource name.
+ * @param {object} [response] The response returned to Chat.
+ */
+function finishMessageEvent(messageName, response) {
+    const cache = CacheService.getScriptCache();
+    const key = getEventDedupeKey(messageName);
+    try {
+        cache.put(key, JSON.stringify(response || {}), EVENT_DEDUPE_SECONDS);
+    } catch (e) {
+        // Script cache values are limited to 100KB
+        console.warn(`DEDUPE: Could not cache the response to ${messageName} (${e}); retries will be ignored.`);
+        cache.put(key, "{}", EVENT_DEDUPE_SECONDS);
+    }
+}
+
+/**
+ * Main message handler for incoming Google Chat events (specifically MESSAGE type).
+ * Each message is handled once: a redelivered event (Chat retries events that time out) returns the
+ * cached response of the first delivery, or nothing while the first delivery is still running.
+ * If the check can't be made in time, the sender gets a private "busy, try again" reply.
+ * If handling fails, the message is forgotten so that a retry can handle it again.
+ *
+ * @param {object} event The event object triggered by a user message in Google Chat.
+ * @return {object} A Google Chat response object (e.g., Card V2 message) or empty object.
+ */
+function onMessage(event) {
+    // Dialog requests are not turns, so they are never deduplicated
+    const messageName = event.type === "MESSAGE" && !event.isDialogEvent ? event.message?.name : null;
+    if (!messageName) {
+        return handleMessageEvent(event);
+    }
+
+    const { isDuplicate, isBusy, response: cachedResponse } = beginMessageEvent(messageName);
+    if (isBusy) {
+        return createCardResponse(EVENT_BUSY_MESSAGE, event.user, { threadName: event.message.thread?.name });
+    }
+    if (isDuplicate) {
+        return cachedResponse;
+    }
+    let response;
+    try {
+        response = handleMessageEvent(event);
+    } catch (e) {
+        CacheService.getScriptCache().remove(getEventDedupeKey(messageName));
+        throw e;
+    }
+    finishMessageEvent(messageName, response);
+    return response;
+}
+
+/**
+ * Handles a message event. Routes requests to appropriate handlers like handleConversationTurn or
+ * clearConversationHistory. Conversation history is kept per space or thread in the configured history store.
+ *
+ * @param {object} event The event object triggered by a user message in Google Chat.
+ * @return {object} A Google Chat response object (e.g., Card V2 message) or empty object.
+ */
+function handleMessageEvent(event) {
+    let conversationKey = null; // The space name, or the thread name when the space uses per-thread history
+    let spaceName = null; // The space name (e.g., spaces/AAA..., dm/BBB...)
+    let threadName = null; // The thread the message was posted in, used to reply in the same thread
+    let userPrompt = null;
+    let isSlashCommand = false;
+    let isMentioned = false;
+    const botUserId =
+        PropertiesService.getScriptProperties().getProperty("BOT_USER_ID");
+    let spaceType = null;
+    let modelToUse = null; // null uses the space's default model (see /settings)
+    let directives = null; // Prompt directives, parsed by runCommand for commands that start a turn
+    const hasAttachments =
+        Array.isArray(event.message?.attachment) && event.message.attachment.length > 0;
+
+    // --- Determine Conversation Key and Check Event Type ---
+    if (event.type === "MESSAGE" && event.message) {
+        console.log(
+            `Received message event in space ${event.space?.name} (Type: ${event.space?.type}) from user ${event.user?.name}`
+        );
+        spaceType = event.space?.type;
+
+        if (spaceType === "DM" || spaceType === "ROOM") {
+            spaceName = event.space.name;
+            threadName = event.message.thread?.name || null;
+            conversationKey = getConversationKey(event); // Space ID or thread ID, depending on the space's history scope
+        } else {
+            console.log("Unhandled space type:", spaceType);
+            return; // Ignore unsupported space types
+        }
+
+        // --- Handle Slash Commands (see COMMAND_REGISTRY) ---
+        if (event.message.slashCommand) {
+            isSlashCommand = true;
+            const commandId = String(event.message.slashCommand.commandId);
+            const accessDeniedResponse = enforceAccessControl(event.user, spaceName, null, threadName);
+            if (accessDeniedResponse) {
+                return accessDeniedResponse;
+            }
+            console.log(
+                `Slash command received: ID=${commandId} in space key ${conversationKey}`
+            );
+
+            const command = findCommandById(commandId);
+            if (!command) {
+                return createCardResponse(
+                    `Sorry, I don't recognize the command ID ${commandId}. Use /help to see the available commands.`,
+                    event.user, // Potentially private response
+                    { threadName }
+                );
+            }
+            const commandResult = runCommand(command, {
+                event,
+                user: event.user,
+                conversationKey,
+                spaceName,
+                spaceType,
+                threadName,
+                argumentText: event.message.argumentText,
+                hasAttachments: false,
+                invokedAs: `/${command.name}`,
+            });
+            if (commandResult.response) {
+                return commandResult.response;
+            }
+            userPrompt = commandResult.turn.prompt; // Proceed to handleConversationTurn preparation
+            modelToUse = commandResult.turn.model;
+            directives = commandResult.turn.directives;
+        }
+        // --- Handle Regular Messages ---
+        else {
+            // Not a slash command
+            if (event.user?.type === "BOT" || (!event.message.text && !hasAttachments)) {
+                console.log("Ignoring bot message or empty regular message.");
+                return;
+            }
+            userPrompt = (event.message.text || "").trim(); // Initial prompt is the full text
+
+            // Check for @mentions
+            let mentionedBotId = null;
+            if (event.message.annotations) {
+                for (const annotation of event.message.annotations) {
+                    if (annotation.type === "USER_MENTION") {
+                        const mentionedUserName = annotation.userMention?.user?.name;
+                        if (mentionedUserName && mentionedUserName === botUserId) {
+                            isMentioned = true;
+                            mentionedBotId = mentionedUserName;
+                            console.log(`Bot mention MATCHED! ID: ${mentionedUserName}`);
+                            break;
+                        }
+                    }
+                }
+            }
+
+            // Decide whether to process based on DM or mention
+            if (spaceType === "DM" || isMentioned) {
+                const accessDeniedResponse = enforceAccessControl(event.user, spaceName, null, threadName);
+                if (accessDeniedResponse) {
+                    return accessDeniedResponse;
+                }
+
+                // Extract text after mention if the bot was mentioned, regardless of space type.
+                // This handles cases where a user might @mention the bot even in a DM.
+                if (isMentioned) {
+                    const mentionText = extractTextAfterMention(
+                        event.message.text,
+                        event.message.annotations,
+                        mentionedBotId
+                    );
+                    userPrompt = mentionText !== null ? mentionText : ""; // Final user prompt after potential extraction
+                    console.log(
+                        `Mention text extracted: "${userPrompt}" (Original: "${event.message.text}")`
+                    );
+                }
+
+
+                // Check for plain-text command aliases (case-insensitive), e.g. "Use pro." or "clearhistory"
+                const plainTextCommand = matchPlainTextCommand(userPrompt);
+                if (plainTextCommand) {
+                    const commandResult = runCommand(plainTextCommand.command, {
+                        event,
+                        user: event.user,
+                        conversationKey,
+                        spaceName,
+                        spaceType,
+                        threadName,
+                        argumentText: plainTextCommand.argumentText,
+                        hasAttachments,
+                        invokedAs: plainTextCommand.alias,
+                    });
+                    if (commandResult.response) {
+                        return commandResult.response;
+                    }
+                    userPrompt = commandResult.turn.prompt;
+                    modelToUse = commandResult.turn.model;
+                    directives = commandResult.turn.directives;
+                }
+
+                // Attachments without text get a default prompt
+                if (!userPrompt && hasAttachments) {
+                    userPrompt = DEFAULT_ATTACHMENT_PROMPT;
+                    console.log("Message has attachments but no text. Using default attachment prompt.");
+                }
+
+                // Check for other empty prompts
+                if (!userPrompt && spaceType !== "DM") {
+                    console.log(
+                        "Ignoring message with no actionable text after mention (and not 'clearhistory')."
+                    );
+                    return;
+                } else if (!userPrompt && spaceType === "DM") {
+                    console.log("Received empty DM message (and not 'clearhistory').");
+                    return; // Currently ignoring empty DMs
+                }
+                // Proceed to handleConversationTurn preparation for non-command prompts
+            } else {
+                // Message in a Space but not a command or @mention to the bot
+                console.log(
+                    "Ignoring message in SPACE because it's not a DM, not a command, and no matching @mention was detected."
+                );
+                return; // Ignore if not relevant
+            }
+        } // End else (regular message)
+    } else {
+        console.log("Ignoring event type:", event.type);
+        return; // Ignore non-message events
+    }
+
+    // --- Prepare and handle the conversation ---
+    if (conversationKey && userPrompt !== null && userPrompt !== "") {
+        // Inline directives (e.g. "!pro !think=high !nosearch !private") apply to this turn only.
+        // Commands have already parsed them from their argument (see runCommand).
+        if (!directives) {
+            const parsedDirectives = parsePromptDirectives(userPrompt);
+            if (parsedDirectives.errors.length > 0) {
+                return createDirectiveErrorResponse(parsedDirectives.errors, event.user, threadName);
+            }
+            directives = parsedDirectives.directives;
+            userPrompt = parsedDirectives.prompt || (hasAttachments ? DEFAULT_ATTACHMENT_PROMPT : "");
+            if (!userPrompt) {
+                return createCardResponse(
+                    "Please add your message after the directives.",
+                    event.user,
+                    { threadName }
+                );
+            }
+        }
+        modelToUse = directives.model || modelToUse;
+        const directiveTurnOptions = {
+            thinkingLevel: directives.thinkingLevel,
+            includeThoughts: directives.includeThoughts,
+            toolOverrides: directives.toolOverrides,
+            viewer: directives.isPrivate ? event.user : null,
+        };
+
+        // The message the user quoted and (optionally) the thread's recent messages, as labelled context.
+        // It is sent with this turn only; the history keeps just the user's own text.
+        const messageContext = buildMessageContext(spaceName, event.message) || null;
+
+        let finalUserPrompt = userPrompt;
+        const displayName = event.user?.displayName;
+
+        if (displayName) {
+
+            finalUserPrompt = addSpeakerPrefix(displayName, userPrompt);
+            console.log(
+                `Adding user display name prefix. Original prompt: "${userPrompt}", Final prompt: "${finalUserPrompt}"`
+            );
+        } else {
+            console.log("Not adding prefix: User display name missing.");
+        }
+
+        console.log(`\n--- Turn Start ---`);
+        console.log(`Conversation Key (Space or Thread): ${conversationKey}`);
+        const sourceType = isSlashCommand
+            ? event.message.slashCommand.commandName || "SlashCmd" // Use commandName if available
+            : isMentioned
+                ? "@mention"
+                : "DM";
+        console.log(
+            `Final User prompt for API (${sourceType}): "${finalUserPrompt}"`
+        );
+
+        modelToUse = modelToUse || getDefaultModelForUser(event.user, spaceName);
+
+        // Only users in PRO_USERS (if set) may use the Pro model
+        const proDeniedResponse = enforceAccessControl(event.user, spaceName, modelToUse, threadName);
+        if (proDeniedResponse) {
+            return proDeniedResponse;
+        }
+
+        // Users and spaces over their daily quota get a private message instead of an answer
+        const quotaResponse = enforceUsageQuota(event.user, spaceName, modelToUse, threadName);
+        if (quotaResponse) {
+            return quotaResponse;
+        }
+
+        // Long-running requests (by default /pro and turns with local functions) are answered asynchronously: a placeholder is posted now
+        // and updated by a time-driven trigger once the Gemini call finishes. Private replies (!private) can
+        // only be sent as the direct response, so they are always synchronous.
+        const turnTools = applyToolOverrides(getConversationSettings(spaceName).tools, directives.toolOverrides);
+        if (!directives.isPrivate && shouldReplyAsync(modelToUse, turnTools)) {
+            const asyncResponse = startAsyncReply({
+                conversationKey,
+                spaceName,
+                threadName,
+                userPrompt: finalUserPrompt,
+                model: modelToUse,
+                attachments: hasAttachments ? event.message.attachment : [],
+                turnOptions: {
+                    ...directiveTurnOptions,
+                    messageContext,
+                    userName: event.user?.name,
+                    userEmail: event.user?.email,
+                },
+            });
+            if (asyncResponse) {
+                return asyncResponse;
+            }
+            console.warn("Async reply could not be started. Answering synchronously.");
+        }
+
+        // Download and validate attachments (images, PDFs, text files)
+        let attachments = { parts: [], refs: [], errors: [] };
+        if (hasAttachments) {
+            attachments = prepareAttachments(event.message.attachment);
+            if (attachments.errors.length > 0) {
+                return createCardResponse(
+                    `Sorry, I couldn't use your attachment(s):\n${attachments.errors.map((error) => ` • ${error}`).join("\n")}`,
+                    event.user,
+                    { threadName }
+                );
+            }
+        }
+
+        // Pass the potentially modified prompt and selected model to the handler
+        return handleConversationTurn(conversationKey, finalUserPrompt, modelToUse, {
+            threadName,
+            attachmentParts: attachments.parts,
+            attachmentRefs: attachments.refs,
+            messageContext,
+            userName: event.user?.name,
+            userEmail: event.user?.email,
+            ...directiveTurnOptions,
+        });
+    } else if (!isSlashCommand && userPrompt === "") {
+        console.log(
+            "Conditions not met to handle conversation turn (e.g., prompt was effectively empty after processing)."
+        );
+    } else if (isSlashCommand && userPrompt === "") {
+        // Already handled by the specific slash command checks, do nothing more.
+    } else {
+        // Other conditions not met (e.g. no conversationKey)
+        console.log(
+            "Conditions not met to handle conversation turn (e.g., no conversation key)."
+        );
+    }
+    return {}; // Explicitly return empty for unhandled cases or handled commands that didn't return earlier
+}
+
+/**
+ * Handles a single conversation turn: loads history, adds new prompt, prunes history,
+ * calls the selected Gemini API model, processes response, updates history, saves it,
+ * and returns the response.
+ *
+ * @param {string} conversationKey The unique identifier for the conversation (space or thread name).
+ * @param {string} userPrompt The user's message text for this turn.
+ * @param {string} [model] The Gemini model to use for this turn. Defaults to the space's default model (see /settings).
+ * @param {object} [options] Optional turn settings.
+ * @param {string} [options.threadName] The thread to post the reply in.
+ * @param {Array<object>} [options.attachmentParts] inlineData/fileData parts for this turn's attachments (sent to the API only).
+ * @param {Array<object>} [options.attachmentRefs] attachmentRef parts describing the attachments (stored in history).
+ * @param {string} [options.messageContext] Quoted and thread messages (see buildMessageContext), sent as an extra
+ *     part of this turn's prompt only and never stored in history.
+ * @param {boolean} [options.replaceLastTurn] Replays the last turn: removes the last user entry (and the model
+ *     answer after it) before adding userPrompt, so the new answer replaces the old one. If attachmentRefs are
+ *     given without attachmentParts, the attachments are restored with restoreAttachmentParts.
+ * @param {string} [options.replaceEntryFingerprint] With replaceLastTurn: the fingerprint (see
+ *     getHistoryEntryFingerprint) of the user entry to replay instead of the last one. Its answer is replaced
+ *     where it is, and the turn is refused if the entry is no longer in the history.
+ * @param {string} [options.expectedTurnId] For replays from a response card: the turn id the card was rendered
+ *     for (see getHistoryEntryFingerprint). The turn is refused if the history has moved on since.
+ * @param {boolean} [options.continueLastResponse] Sends userPrompt as a one-off continuation request and appends
+ *     the answer to the last model entry instead of adding a new turn.
+ * @param {number} [options.retryBudgetMs] Time allowed for retrying the Gemini call (defaults to the retry policy's budget).
+ * @param {number} [options.functionCallBudgetMs] Time after which no new round of local function calls starts
+ *     (defaults to FUNCTION_CALL_TIME_BUDGET_MS).
+ * @param {string} [options.userName] The requesting user's resource name (users/...), for usage quotas.
+ * @param {string} [options.userEmail] The requesting user's email, who gets read access to saved media.
+ * @param {string} [options.thinkingLevel] Overrides the space's thinking level for this turn.
+ * @param {boolean} [options.includeThoughts] Overrides the space's "show thought summaries" setting for this turn.
+ * @param {object} [options.toolOverrides] Turns tools on or off for this turn (see applyToolOverrides).
+ * @param {object} [options.viewer] If set, the reply is private to this user (event.user). Private turns are
+ *     answered with the shared history as context but are not saved to it, so their reply has no buttons.
+ * @param {object} [options.httpClient] Replaces UrlFetchApp for the Gemini call (see callGeminiApiWithHistory).
+ * @return {object} A Google Chat response object (Card V2) containing the AI's response or an error message.
+ */
+function handleConversationTurn(conversationKey, userPrompt, model = null, options = {}) {
+    const {
+        threadName = null,
+        attachmentParts = [],
+        attachmentRefs = [],
+        messageContext = null,
+        replaceLastTurn = false,
+        replaceEntryFingerprint = null,
+        continueLastResponse = false,
+        expectedTurnId,
+        retryBudgetMs,
+        functionCallBudgetMs,
+        userName = null,
+        userEmail = null,
+        thinkingLevel = null,
+        includeThoughts = null,
+        toolOverrides = {},
+        viewer = null,
+        httpClient,
+    } = options;
+    const spaceName = getSpaceNameFromConversationKey(conversationKey || "");
+    const settings = getConversationSettings(spaceName); // Thinking level, tools and history depth of the space
+    model = model || settings.model;
+    console.log(
+        `HANDLE_TURN: Processing turn for key: ${conversationKey} with model: ${model}`
+    );
+
+    if (!conversationKey || !userPrompt) {
+        console.error(
+            "HANDLE_TURN: handleConversationTurn called with missing key or prompt."
+        );
+        return createCardResponse("Error: Missing conversation key or prompt.", null, {
+            threadName,
+        }); // Probably private error
+    }
+
+    // Load history specifically for this conversation. The lock is not held during the Gemini call;
+    // the turn is merged into the latest stored history afterwards (see saveTurnToHistory).
+    let conversationHistory = loadConversationHistory(conversationKey); // Returns [] if not found/error
+    let replacedEntries = []; // Stored entries this turn replaces when it is saved
+    let apiAttachmentParts = attachmentParts;
+
+    if (expectedTurnId !== undefined && getLastTurnId(conversationHistory) !== expectedTurnId) {
+        console.warn(`HANDLE_TURN: Turn ${expectedTurnId} is no longer the latest in ${conversationKey}.`);
+        return createCardResponse(STALE_ACTION_MESSAGE, viewer, { threadName });
+    }
+
+    if (continueLastResponse) {
+        if (conversationHistory[conversationHistory.length - 1]?.role !== "model") {
+            return createCardResponse("There is no answer to continue.", null, { threadName });
+        }
+        replacedEntries = [conversationHistory[conversationHistory.length - 1]];
+    } else if (replaceLastTurn) {
+        // Keep everything before the replayed user entry as context and replace the entry and its answer;
+        // the replayed prompt is added again below
+        const replayIndex = conversationHistory
+            .map(
+                (entry) =>
+                    entry.role === "user" &&
+                    (!replaceEntryFingerprint || getHistoryEntryFingerprint(entry) === replaceEntryFingerprint)
+            )
+            .lastIndexOf(true);
+        if (replayIndex === -1 && replaceEntryFingerprint) {
+            return createCardResponse("That question is no longer in the history. Please ask it again instead.", viewer, {
+                threadName,
+            });
+        }
+        if (replayIndex !== -1) {
+            const { end } = findHistoryExchange(conversationHistory, replayIndex);
+            replacedEntries = conversationHistory.slice(replayIndex, end);
+            conversationHistory = conversationHistory.slice(0, replayIndex);
+        }
+        console.log(
+            `HANDLE_TURN: Replaying last turn. History length before replay: ${conversationHistory.length}`
+        );
+        if (attachmentRefs.length > 0 && attachmentParts.length === 0) {
+            const restored = restoreAttachmentParts(attachmentRefs);
+            if (restored.errors.length > 0) {
+                return createCardResponse(
+                    `Sorry, I couldn't use the attachment(s) of that question again:\n${restored.errors.map((error) => ` • ${error}`).join("\n")}\nPlease send the question with its files again.`,
+                    viewer,
+                    { threadName }
+                );
+            }
+            apiAttachmentParts = restored.parts;
+        }
+    }
+
+    // Add current user message to history. Attachments are stored as references, never as raw bytes.
+    // The author (users/...) decides who may forget, undo or retry the exchange; a replayed question keeps its own.
+    const author = (replaceLastTurn && replacedEntries[0]?.author) || userName;
+    const userEntry = {
+        role: "user",
+        ...(author ? { author } : {}),
+        parts: [{ text: userPrompt }, ...attachmentRefs],
+    };
+    conversationHistory.push(userEntry);
+    console.log(
+        `HANDLE_TURN: Added user prompt to history. History length now: ${conversationHistory.length}`
+    );
+
+    // Prune history to the token budget before sending to API; pruned turns are folded into the rolling summary
+    const pruneResult = pruneAndSummarizeHistory(conversationKey, conversationHistory, settings.historyDepth, {
+        userName,
+        spaceName,
+        retryBudgetMs,
+    });
+    const droppedEntries = conversationHistory.slice(0, conversationHistory.length - pruneResult.history.length);
+    conversationHistory = pruneResult.history;
+    console.log(
+        `HANDLE_TURN: History length after pruning: ${conversationHistory.length}. Summary present: ${Boolean(pruneResult.summary)}`
+    );
+
+    // Call Gemini API with the selected model, sending the summary of older turns first
+    // and the space's persona (combined with the global default) as the system instruction
+    const apiHistory = buildApiHistory(conversationHistory, apiAttachmentParts);
+    if (messageContext) {
+        const currentEntry = apiHistory[apiHistory.length - 1];
+        apiHistory[apiHistory.length - 1] = { ...currentEntry, parts: [...currentEntry.parts, { text: messageContext }] };
+    }
+    const modelResponse = callGeminiApiWithHistory(
+        prependSummaryToHistory(pruneResult.summary, apiHistory),
+        model,
+        {
+            systemInstruction: buildSystemInstruction(spaceName),
+            thinkingLevel: thinkingLevel || settings.thinkingLevel,
+            includeThoughts: includeThoughts ?? settings.showThoughts,
+            tools: applyToolOverrides(settings.tools, toolOverrides),
+            retryBudgetMs,
+            functionCallBudgetMs,
+            httpClient,
+        }
+    );
+
+    const isError = isGeminiErrorResponse(modelResponse) || !modelResponse.parts?.length;
+    if (!isGeminiErrorResponse(modelResponse) || modelResponse.usageMetadata) {
+        recordQuotaUsage(userName, spaceName, modelResponse.model || model, modelResponse.usageMetadata);
+        recordTurnUsage(userName, spaceName, modelResponse.model || model, modelResponse.usageMetadata);
+    }
+    let responseText = modelResponse?.text;
+    let grounding = modelResponse?.grounding;
+    // Inline media is saved to Drive first, so both the history and the card can refer to the saved file
+    let responseParts = isError ? null : saveResponseMedia(modelResponse.parts, userEmail);
+
+    // Work out the entries this turn adds (the continuation request itself is never stored).
+    // Every part of the answer is stored in order, without citations or thought summaries: media as a Drive
+    // reference and local function calls in a compact form.
+    let addedEntries = continueLastResponse ? [] : [userEntry];
+    if (!isError) {
+        const historyParts = toHistoryParts(responseParts);
+        if (continueLastResponse) {
+            // The continuation picks up mid-sentence, so its first text joins the answer's last text part
+            const previousParts = replacedEntries[0].parts || [];
+            const previousText = getHistoryEntryText(replacedEntries[0]);
+            const lastPart = previousParts[previousParts.length - 1];
+            addedEntries = [
+                {
+                    role: "model",
+                    parts:
+                        typeof lastPart?.text === "string" && typeof historyParts[0]?.text === "string"
+                            ? [
+                                ...previousParts.slice(0, -1),
+                                { text: lastPart.text + historyParts[0].text },
+                                ...historyParts.slice(1),
+                            ]
+                            : [...previousParts, ...historyParts],
+                },
+            ];
+            responseText = previousText + modelResponse.text;
+            responseParts = assembleResponseParts([{ type: "text", text: previousText }, ...responseParts]);
+            grounding = shiftGroundingCitations(grounding, previousText.length);
+            console.log("HANDLE_TURN: Appending continuation to the last model entry.");
+        } else {
+            addedEntries.push({ role: "model", parts: historyParts });
+        }
+        // No second pruning pass: the next turn prunes (and summarizes) before calling the API.
+    } else {
+        console.warn(
+            `HANDLE_TURN: Model returned an error or empty response. Not adding to history. Response: ${modelResponse?.text}`
+        );
+        if (continueLastResponse) {
+            replacedEntries = []; // Keep the answer that could not be continued
+        }
+    }
+
+    // Merge the turn into the latest stored history, keeping turns other people added in the meantime.
+    // Private turns are never saved: everyone in the space can read the shared history (/history, /export).
+    const savedHistory = viewer
+        ? null
+        : saveTurnToHistory(conversationKey, {
+            dropped: droppedEntries,
+            replaced: replacedEntries,
+            added: addedEntries,
+            summary: pruneResult.updatedSummary,
+        });
+    if (savedHistory) {
+        console.log(`HANDLE_TURN: Saved turn to history. History length now: ${savedHistory.length}`);
+    }
+
+    // Return the model's response (or the error message), with search citations when grounded
+    // and buttons to regenerate, re-ask with Pro, or continue a truncated answer.
+    // The buttons act on the model that actually answered, which differs from model after a fallback.
+    const answeringModel = (!isError && modelResponse.model) || model;
+    // A question replayed in place (see replaceEntryFingerprint) may not be the latest turn, so its card can't replay it
+    const isLatestTurn =
+        Boolean(savedHistory) &&
+        (addedEntries.length === 0 ||
+            isSameHistoryEntry(savedHistory[savedHistory.length - 1], addedEntries[addedEntries.length - 1]));
+    return createCardResponse(responseText || "No response received.", viewer, {
+        threadName,
+        grounding,
+        thoughtSummary: !isError ? modelResponse.thoughtSummary : null,
+        responseParts,
+        notice: [
+            !isError && modelResponse.fallbackFrom
+                ? `_${modelResponse.fallbackFrom} was unavailable, so this answer is from ${answeringModel}._`
+                : null,
+            !savedHistory && !viewer
+                ? "_Timed out waiting for other messages in this conversation to be saved, so this turn was not added to the history. Ask again if the bot should remember it._"
+                : null,
+        ]
+            .filter(Boolean)
+            .join("\n") || null,
+        responseActions: viewer
+            ? null // Private turns aren't in the history, so they can't be replayed
+            : {
+                conversationKey,
+                model: answeringModel,
+                canContinue: !isError && modelResponse.finishReason === "MAX_TOKENS",
+                turnId: isLatestTurn ? getLastTurnId(savedHistory) : "", // Unsaved turns can't be replayed
+            },
+    });
+}
+
+/**
+ * Checks whether a result returned by callGeminiApiWithHistory is an error rather than model output.
+ * @param {{text: string, isError: boolean}} modelResponse The value returned by callGeminiApiWithHistory.
+ * @return {boolean} True if the response is missing or an error.
+ */
+function isGeminiErrorResponse(modelResponse) {
+    return !modelResponse || modelResponse.isError === true;
+}
+
+/**
+ * Creates the result returned by callGeminiApiWithHistory when the call fails.
+ * @param {string} message The user-facing error message.
+ * @return {{text: string, isError: boolean}} The error result.
+ */
+function createGeminiErrorResult(message) {
+    return { text: message, isError: true };
+}
+
+/**
+ * Helper function to create a simple Card V2 response object.
+ * @param {string} messageText The text to display, which will be rendered as Markdown.
+ * @param {object} [viewer] Optional. If provided, makes the message private to this user ({ name: "users/...", ... }). If null, message is public.
+ * @param {object} [options] Optional message settings.
+ * @param {string} [options.threadName] If provided, posts the message as a reply in this thread.
+ * @param {object} [options.grounding] Parsed search grounding (see parseGroundingMetadata). Adds numbered
+ *     inline citations to the text and a "Sources" section of link buttons.
+ * @param {string} [options.notice] A short Markdown note shown below the text (e.g. which model answered).
+ * @param {string} [options.thoughtSummary] The model's thought summary, shown in a collapsed "Thoughts" section.
+ * @param {Array<object>} [options.responseParts] The answer's parts (see extractResponseParts). Unless the answer
+ *     is a single text part, they are shown in order (see createResponsePartSections) in place of messageText,
+ *     without inline citations.
+ * @param {object} [options.responseActions] Adds Regenerate / Switch to Pro / Continue buttons
+ *     (see createResponseActionsSection).
+ * @return {object} The Google Chat response object.
+ */
+function createCardResponse(messageText, viewer = null, options = {}) {
+    console.log(`Card Response Text: ${messageText}`);
+    let displayText =
+        messageText && String(messageText).trim()
+            ? String(messageText)
+            : "(No response text generated)";
+    const extraSections = [];
+    const responseParts = options?.responseParts;
+    const showParts = Boolean(responseParts) && !(responseParts.length === 1 && responseParts[0].type === "text");
+
+    if (options?.notice) {
+        extraSections.push({
+            widgets: [{ textParagraph: { text: options.notice, textSyntax: "MARKDOWN" } }],
+        });
+    }
+    if (options?.thoughtSummary) {
+        const thoughtSummary =
+            options.thoughtSummary.length > THOUGHT_SUMMARY_MAX_CHARS
+                ? `${options.thoughtSummary.substring(0, THOUGHT_SUMMARY_MAX_CHARS)}…`
+                : options.thoughtSummary;
+        extraSections.push({
+            header: "Thoughts",
+            collapsible: true,
+            uncollapsibleWidgetsCount: 0,
+            widgets: [{ textParagraph: { text: thoughtSummary, textSyntax: "MARKDOWN" } }],
+        });
+    }
+    if (options?.grounding) {
+        if (!showParts) {
+            // Citation positions refer to the plain answer text, not to the separate parts
+            displayText = addCitationMarkers(displayText, options.grounding.citations);
+        }
+        extraSections.push(...createGroundingSections(options.grounding));
+    }
+    if (options?.responseActions) {
+        extraSections.push(createResponseActionsSection(options.responseActions));
+    }
+
+    const card = {
+        cardsV2: [
+            {
+                cardId:
+                    "messageCard_" +
+                    Date.now() +
+                    "_" +
+                    Math.random().toString(36).substring(2, 9), // More unique ID
+                card: {
+                    sections: [
+                        ...(showParts
+                            ? createResponsePartSections(responseParts)
+                            : [
+                                {
+                                    widgets: [
+                                        {
+                                            textParagraph: {
+                                                text: displayText,
+                                                textSyntax: "MARKDOWN",
+                                            },
+                                        },
+                                    ],
+                                },
+                            ]),
+                        ...extraSections,
+                    ],
+                },
+            },
+        ],
+    };
+
+    if (viewer && viewer.name) {
+        console.log(
+            `createCardResponse: Creating PRIVATE response for viewer ${viewer.name}`
+        );
+        card.privateMessageViewer = viewer;
+    } else {
+        console.log(
+            "createCardResponse: Creating PUBLIC response (no viewer specified)."
+        );
+    }
+
+    if (options?.threadName) {
+        card.thread = { name: options.threadName };
+    }
+
+    return card;
+}
+
+/**
+ * Calls the Gemini API with the provided conversation history and model.
+ * Uses OAuth2 (ScriptApp.getOAuthToken) instead of API Key.
+ *
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} history The conversation history array.
+ * @param {string} model The Gemini model to use.
+ * @param {object} [requestOptions] Optional request settings.
+ * @param {string} [requestOptions.systemInstruction] Sent as the request's systemInstruction when not empty.
+ * @param {string} [requestOptions.thinkingLevel] One of THINKING_LEVELS. Defaults to DEFAULT_THINKING_LEVEL.
+ * @param {boolean} [requestOptions.includeThoughts] Asks for a summary of the model's thinking (returned as thoughtSummary).
+ * @param {Array<string>} [requestOptions.tools] Keys of AVAILABLE_TOOLS to enable. Defaults to DEFAULT_TOOLS.
+ *     With FUNCTION_TOOLS_KEY, function calls requested by the model are run locally and their results sent back,
+ *     for up to MAX_FUNCTION_CALL_ROUNDS rounds, and the built-in tools are left out (see buildToolsPayload).
+ * @param {number} [requestOptions.functionCallBudgetMs] Time after which no new round of function calls starts.
+ *     Defaults to FUNCTION_CALL_TIME_BUDGET_MS.
+ * @param {number} [requestOptions.retryBudgetMs] Overrides the retry time budget of the policy (see getRetryPolicy).
+ * @param {object} [requestOptions.retryPolicy] Overrides individual fields of the retry policy.
+ * @param {object} [requestOptions.httpClient] Replaces UrlFetchApp, Utilities.sleep and the clock (see getDefaultHttpClient).
+ * @return {{text: string, isError: boolean, finishReason: (string|undefined), grounding: (object|null|undefined),
+ *     model: (string|undefined), fallbackFrom: (string|undefined), usageMetadata: (object|undefined),
+ *     thoughtSummary: (string|undefined), parts: (Array<object>|undefined)}}
+ *     The result. On success, parts lists every non-thought part of the answer in order: text, code, code output,
+ *     inline media and the local function calls that were run (see extractResponseParts), and text joins its
+ *     text parts. finishReason is the candidate's finish reason, grounding
+ *     the parsed search grounding (or null), model the model that answered and usageMetadata the token counts
+ *     Gemini reported. thoughtSummary holds the thought parts' text when includeThoughts was set (never part of
+ *     text or parts). fallbackFrom is set to the
+ *     requested model when it was unavailable and the fallback model answered instead. usageMetadata adds up
+ *     the token counts of every round.
+ *     On failure, isError is true and text is a user-facing error message.
+ */
+function callGeminiApiWithHistory(history, model, requestOptions = {}) {
+    if (!history || history.length === 0) {
+        console.error("Attempted to call Gemini with empty history.");
+        return createGeminiErrorResult("Sorry, something went wrong (internal history error).");
+    }
+
+    // We now rely on the Bearer token in the header.
+    const getEndpoint = (endpointModel) =>
+        `https://generativelanguage.googleapis.com/v1beta/models/${endpointModel}:generateContent`;
+    const retryPolicy = { ...getRetryPolicy(), ...(requestOptions.retryPolicy || {}) };
+    if (requestOptions.retryBudgetMs !== undefined) {
+        retryPolicy.budgetMs = requestOptions.retryBudgetMs;
+    }
+    const httpClient = requestOptions.httpClient || getDefaultHttpClient();
+
+    console.log(`Calling Gemini API endpoint for model: ${model}`);
+    const token = ScriptApp.getOAuthToken();
+    if (token) {
+        console.log(`OAuth Token present. First 5 chars: ${token.substring(0, 5)}...`);
+    } else {
+        console.error("OAuth Token IS MISSING from ScriptApp.getOAuthToken()!");
+    }
+
+    const { filteredHistory, needsLeadingUserRole } = filterAndPrepareHistory(history);
+
+    if (filteredHistory.length === 0 && !needsLeadingUserRole) {
+        console.error("History is empty after filtering adjacent roles.");
+        return createGeminiErrorResult("Sorry, something went wrong processing conversation history.");
+    }
+
+    if (needsLeadingUserRole) {
+        console.warn("History requires leading 'user' role. Prepending a placeholder.");
+        filteredHistory.unshift({
+            role: "user",
+            parts: [{ text: "(Context starts)" }],
+        });
+    }
+
+    const payload = {
+        contents: filteredHistory,
+        generationConfig: {
+            thinkingConfig: {
+                thinkingLevel: requestOptions.thinkingLevel || DEFAULT_THINKING_LEVEL,
+                includeThoughts: Boolean(requestOptions.includeThoughts),
+            },
+        },
+        safetySettings: [
+            {
+                category: "HARM_CATEGORY_HARASSMENT",
+                threshold: "BLOCK_LOW_AND_ABOVE"
+            },
+            {
+                category: "HARM_CATEGORY_HATE_SPEECH",
+                threshold: "BLOCK_LOW_AND_ABOVE"
+            },
+            {
+                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+                threshold: "BLOCK_LOW_AND_ABOVE"
+            },
+            {
+                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+                threshold: "BLOCK_LOW_AND_ABOVE"
+            },
+        ],
+    };
+    const tools = buildToolsPayload(requestOptions.tools || DEFAULT_TOOLS);
+    if (tools.length > 0) {
+        payload.tools = tools;
+    }
+    if (requestOptions.systemInstruction) {
+        payload.systemInstruction = { parts: [{ text: requestOptions.systemInstruction }] };
+    }
+
+    const options = {
+        method: "post",
+        contentType: "application/json",
+        headers: {
+            Authorization: `Bearer ${ScriptApp.getOAuthToken()}`
+        },
+        payload: JSON.stringify(payload),
+        muteHttpExceptions: true,
+    };
+
+    console.log(
+        "Gemini API Payload Preview (first/last part):",
+        JSON.stringify(payload.contents[0]).substring(0, 1000), // Truncated: parts may carry base64 attachment data
+        "...",
+        JSON.stringify(payload.contents[payload.contents.length - 1]).substring(0, 1000)
+    );
+
+    try {
+        const startedAt = httpClient.now();
+        const deadline = startedAt + retryPolicy.budgetMs;
+        const functionCallBudgetMs = requestOptions.functionCallBudgetMs ?? FUNCTION_CALL_TIME_BUDGET_MS;
+        const fallbackModel = getFallbackModel(model, retryPolicy);
+        let answeringModel = model;
+        let response;
+        let attempts;
+        let data;
+        let candidate;
+        let usageMetadata;
+        const responseParts = [];
+        const thoughtTexts = [];
+
+        // Each round sends the conversation so far. When the model asks for local functions, their results
+        // are added to the contents and the next round lets the model continue.
+        for (let round = 1; ; round++) {
+            options.payload = JSON.stringify(payload);
+            ({ response, attempts } = fetchWithRetry(
+                getEndpoint(answeringModel),
+                options,
+                retryPolicy,
+                deadline,
+                httpClient
+            ));
+            if (fallbackModel && answeringModel === model && isRetryableStatus(response.getResponseCode())) {
+                console.warn(
+                    `Model ${model} is unavailable (Status: ${response.getResponseCode()}). Falling back to ${fallbackModel}.`
+                );
+                answeringModel = fallbackModel;
+                ({ response, attempts } = fetchWithRetry(
+                    getEndpoint(fallbackModel),
+                    options,
+                    retryPolicy,
+                    deadline,
+                    httpClient
+                ));
+            }
+            if (response.getResponseCode() !== 200) {
+                break;
+            }
+
+            data = JSON.parse(response.getContentText());
+            usageMetadata = addUsageMetadata(usageMetadata, data.usageMetadata);
+            candidate = data.candidates?.[0];
+            const roundParts = candidate?.content?.parts || [];
+            if (requestOptions.includeThoughts) {
+                roundParts
+                    .filter((part) => part.thought && part.text)
+                    .forEach((part) => thoughtTexts.push(part.text.trim()));
+            }
+
+            const functionCalls = roundParts.filter((part) => part.functionCall).map((part) => part.functionCall);
+            if (functionCalls.length === 0) {
+                responseParts.push(...extractResponseParts(roundParts));
+                break;
+            }
+            if (round >= MAX_FUNCTION_CALL_ROUNDS) {
+                console.warn(`FUNCTION_CALL: Stopping after ${round} rounds of function calls.`);
+                return {
+                    ...createGeminiErrorResult(
+                        `Sorry, the AI kept calling tools without answering (stopped after ${round} rounds).`
+                    ),
+                    usageMetadata, // The rounds so far are still billed
+                };
+            }
+            if (httpClient.now() - startedAt >= functionCallBudgetMs) {
+                console.warn(`FUNCTION_CALL: Stopping after ${round} rounds: the ${functionCallBudgetMs}ms budget is used up.`);
+                return {
+                    ...createGeminiErrorResult(
+                        "Sorry, the AI's tool calls took too long to finish. Please try again or ask a simpler question."
+                    ),
+                    usageMetadata,
+                };
+            }
+            const results = functionCalls.map((functionCall) => executeFunctionCall(functionCall));
+            responseParts.push(...extractResponseParts(roundParts, results));
+            payload.contents.push(candidate.content, {
+                role: "user",
+                parts: results.map(({ id, name, response: functionResponse }) => ({
+                    functionResponse: { ...(id ? { id } : {}), name, response: functionResponse },
+                })),
+            });
+        }
+        const fallbackFrom = answeringModel !== model ? model : undefined;
+
+        const responseCode = response.getResponseCode();
+        const responseBody = response.getContentText();
+
+        if (responseCode === 200) {
+            if (data.promptFeedback && data.promptFeedback.blockReason) {
+                console.error("Gemini API blocked the prompt.", data.promptFeedback.blockReason);
+                return createGeminiErrorResult(
+                    `Sorry, your request was blocked by safety filters (Reason: ${data.promptFeedback.blockReason}).`
+                );
+            }
+
+            if (!data.candidates || data.candidates.length === 0) {
+                // Handle empty candidates
+                if (data.promptFeedback && data.promptFeedback.blockReason) {
+                    return createGeminiErrorResult(
+                        `Sorry, your request was blocked (Reason: ${data.promptFeedback.blockReason}).`
+                    );
+                }
+                return createGeminiErrorResult(
+                    "Sorry, the AI returned an unexpected response structure (no candidates)."
+                );
+            }
+
+            // Check finish reason
+            if (candidate && candidate.finishReason && candidate.finishReason !== "STOP" && candidate.finishReason !== "MAX_TOKENS") {
+                return createGeminiErrorResult(
+                    `Sorry, the response generation was stopped (Reason: ${candidate.finishReason}).`
+                );
+            }
+
+            // Every non-thought part of every round is kept, in order. Thought summaries (includeThoughts)
+            // are returned separately and never mixed into the answer.
+            const parts = assembleResponseParts(responseParts);
+            const thoughtSummary = thoughtTexts.join("\n\n");
+            const candidateParts = candidate?.content?.parts || [];
+            if (parts.length === 0 && candidateParts.length > 0 && candidateParts.every((part) => part.thought)) {
+                console.warn("Only thought parts found.");
+            }
+
+            if (parts.length > 0) {
+                return {
+                    text: getResponsePartsText(parts),
+                    parts,
+                    isError: false,
+                    finishReason: candidate.finishReason,
+                    grounding: parseResponseGrounding(candidate.groundingMetadata, candidateParts),
+                    model: answeringModel,
+                    fallbackFrom,
+                    usageMetadata,
+                    thoughtSummary: thoughtSummary || undefined,
+                };
+            } else {
+                return createGeminiErrorResult(
+                    "Sorry, the AI returned empty or invalid response content."
+                );
+            }
+
+        } else {
+            console.error(`Gemini API Error Response (${responseCode}): ${responseBody}`);
+            if (responseCode === 403) {
+                console.error("Status 403 detected. This usually means insufficient scopes in appsscript.json. Ensure 'https://www.googleapis.com/auth/generative-language' is present.");
+            }
+            let errorMessage = `Sorry, there was an error contacting the AI (Status: ${responseCode}${
+                attempts > 1 ? `, ${attempts} attempts` : ""
+            }${fallbackFrom ? `, after falling back from ${fallbackFrom}` : ""}).`;
+            try {
+                const errorData = JSON.parse(responseBody);
+                if (errorData?.error?.message) {
+                    errorMessage += ` Details: ${errorData.error.message}`;
+                }
+            } catch (e) {
+                errorMessage += ` Raw response: ${responseBody.substring(0, 200)}...`;
+            }
+            return createGeminiErrorResult(errorMessage);
+        }
+    } catch (e) {
+        console.error(`Error during UrlFetchApp or response processing: ${e}`, e.stack);
+        return createGeminiErrorResult(
+            `Sorry, an unexpected error occurred while trying to reach the AI (${e.message}).`
+        );
+    }
+}
+
+/**
+ * Filters and prepares conversation history for the Gemini API.
+ * Merges consecutive messages from the same role.
+ * Determines if the history starts with a 'model' role, requiring a placeholder.
+ *
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} history The raw conversation history array.
+ * @return {{filteredHistory: Array, needsLeadingUserRole: boolean}} Processed history and flag.
+ */
+function filterAndPrepareHistory(history) {
+    const filteredHistory = [];
+    let needsLeadingUserRole = true; // Default assumption
+
+    if (!history || history.length === 0) {
+        console.warn(
+            "filterAndPrepareHistory called with empty or invalid history."
+        );
+        return { filteredHistory: [], needsLeadingUserRole: true };
+    }
+
+    // Always check the role of the *first* valid entry
+    if (history[0] && history[0].role) {
+        needsLeadingUserRole = history[0].role !== "user";
+        filteredHistory.push({
+            ...history[0],
+            parts: (history[0].parts || []).map((part) => ({ ...part })),
+        }); // Deep copy first element
+    } else {
+        console.warn("First history entry is invalid.");
+        // needsLeadingUserRole remains true, filteredHistory remains empty initially
+    }
+
+    for (let i = 1; i < history.length; i++) {
+        // Skip invalid entries
+        if (!history[i] || !history[i].role || !history[i].parts) {
+            console.warn(`Skipping invalid history entry at index ${i}:`, history[i]);
+            continue;
+        }
+
+        const lastEntry = filteredHistory[filteredHistory.length - 1];
+
+        // If roles differ, push a new entry (deep copy)
+        if (!lastEntry || history[i].role !== lastEntry.role) {
+            filteredHistory.push({
+                ...history[i],
+                parts: history[i].parts.map((part) => ({ ...part })),
+            });
+        }
+        // If roles are the same, merge parts
+        else {
+            // console.log( // Less verbose logging
+            //   `Merging adjacent history entries with role: ${history[i].role}`
+            // );
+            const currentText = history[i].parts[0]?.text; // Assuming single text part for simplicity
+            if (currentText) {
+                // Ensure the last entry has a valid parts array and text element
+                if (!lastEntry.parts) lastEntry.parts = [{ text: "" }];
+                if (!lastEntry.parts[0]) lastEntry.parts[0] = { text: "" };
+                if (
+                    lastEntry.parts[0].text === undefined ||
+                    lastEntry.parts[0].text === null
+                ) {
+                    lastEntry.parts[0].text = "";
+                }
+
+                // Append with a newline separator
+                lastEntry.parts[0].text += "\n" + currentText;
+            }
+            // Keep any further parts (e.g. attachments) of the merged entry
+            history[i].parts
+                .slice(currentText ? 1 : 0)
+                .forEach((part) => lastEntry.parts.push({ ...part }));
+        }
+    }
+
+    // Re-evaluate needsLeadingUserRole based on the *final filtered* history
+    if (filteredHistory.length > 0) {
+        needsLeadingUserRole = filteredHistory[0].role !== "user";
+    } else {
+        // If filtering resulted in an empty history (e.g., all entries were invalid or merged into nothing)
+        needsLeadingUserRole = true;
+    }
+
+    console.log(
+        `filterAndPrepareHistory: Needs leading user role? ${needsLeadingUserRole}. Filtered length: ${filteredHistory.length}`
+    );
+    return { filteredHistory, needsLeadingUserRole };
+}
+
+/**
+ * Loads the conversation history for a specific conversation key from the history store.
+ * Retrieves the stored data using `${conversationKey}_history`, reassembling it from chunks
+ * when it was stored in several properties, expects JSON, and parses it.
+ * Handles errors by logging and returning an empty array.
+ *
+ * @param {string} conversationKey The unique identifier for the conversation (space or thread name).
+ * @return {Array<{role: string, parts: Array<{text: string}>}>} The conversation history array. Returns an empty array ([]) if not found, invalid JSON, or other errors occur.
+ */
+function loadConversationHistory(conversationKey) {
+    const propertyKey = getHistoryPropertyKey(conversationKey);
+    if (!propertyKey) {
+        console.error(
+            "LOAD_HISTORY: Could not generate property key for:",
+            conversationKey
+        );
+        return [];
+    }
+
+    let jsonHistory = null;
+    try {
+        jsonHistory = readChunkedValue(getHistoryStore(), propertyKey);
+    } catch (e) {
+        console.error(
+            `LOAD_HISTORY: Error reading stored history for property [${propertyKey}]: ${e}. Deleting corrupt property and chunks.`
+        );
+        deleteCorruptHistory(propertyKey);
+        return [];
+    }
+
+    if (jsonHistory) {
+        try {
+            const history = JSON.parse(jsonHistory);
+            // Basic validation: check if it's an array
+            if (Array.isArray(history)) {
+                console.log(
+                    `LOAD_HISTORY: Successfully loaded history for property [${propertyKey}]. Length: ${history.length}`
+                );
+                return history;
+            } else {
+                console.error(
+                    `LOAD_HISTORY: Parsed data for property [${propertyKey}] is not an array. Type: ${typeof history}. Deleting corrupt property.`
+                );
+                deleteCorruptHistory(propertyKey); // Clean up invalid data
+                return [];
+            }
+        } catch (e) {
+            console.error(
+                `LOAD_HISTORY: Error parsing stored JSON for property [${propertyKey}]: ${e}. Deleting corrupt property.`
+            );
+            deleteCorruptHistory(propertyKey);
+            return [];
+        }
+    } else {
+        console.log(
+            `LOAD_HISTORY: No history property found for key [${propertyKey}]. Starting fresh.`
+        );
+        return []; // No history exists for this key yet
+    }
+}
+
+/**
+ * Deletes a corrupt history property together with all of its chunks, logging any failure.
+ * @param {string} propertyKey The history property key.
+ */
+function deleteCorruptHistory(propertyKey) {
+    try {
+        deleteChunkedValue(getHistoryStore(), propertyKey);
+        console.log(
+            `LOAD_HISTORY: Deleted potentially corrupt script property [${propertyKey}] and its chunks.`
+        );
+    } catch (deleteError) {
+        console.error(
+            `LOAD_HISTORY: Failed to delete corrupt script property [${propertyKey}]: ${deleteError}`
+        );
+    }
+}
+
+/**
+ * Saves the provided conversation history array to the history store.
+ * Converts the array to a JSON string before saving under `${conversationKey}_history`.
+ * Histories larger than the store's value limit are split into numbered chunks with a manifest
+ * (see writeChunkedValue), so long answers no longer exceed the ~9KB Script Property limit.
+ * If the provided history array is null or empty, deletes the corresponding property and chunks.
+ * Catches and logs errors (JSON stringification, size limits).
+ *
+ * @param {string} conversationKey The unique identifier for the conversation (space or thread name).
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} history The conversation history array to save.
+ */
+function saveConversationHistory(conversationKey, history) {
+    const propertyKey = getHistoryPropertyKey(conversationKey);
+    if (!propertyKey) {
+        console.error(
+            "SAVE_HISTORY: Could not generate property key for:",
+            conversationKey
+        );
+        return; // Cannot save without a key
+    }
+
+    try {
+        // Check if the history array is empty or null/undefined
+        if (!history || !Array.isArray(history) || history.length === 0) {
+            // If it's empty, delete the property and any chunks it may have
+            if (deleteChunkedValue(getHistoryStore(), propertyKey)) {
+                console.log(
+                    `SAVE_HISTORY: Deleted script property [${propertyKey}] because history array is empty.`
+                );
+            }
+            return; // Exit the function
+        }
+
+        // If the history is not empty, proceed to save
+        const jsonHistory = JSON.stringify(history);
+        const historySize = jsonHistory.length;
+
+        console.log(
+            `SAVE_HISTORY: Attempting to save history for property [${propertyKey}]. Entries: ${history.length}. Size: ${historySize} bytes.`
+        );
+
+        const chunkCount = writeChunkedValue(getHistoryStore(), propertyKey, jsonHistory);
+        if (chunkCount > 0) {
+            console.log(
+                `SAVE_HISTORY: Saved property [${propertyKey}] as ${chunkCount} chunks.`
+            );
+        }
+    } catch (e) {
+        // Catch errors during stringify or setProperty
+        const historySizeEstimate = JSON.stringify(history)?.length || "unknown"; // Estimate size for error log
+        console.error(
+            `SAVE_HISTORY: Error stringifying or saving history for property [${propertyKey}] (Size: ~${historySizeEstimate} bytes): ${e}`
+        );
+        // Maybe notify the user? Difficult from here. Could log a specific error for monitoring.
+    }
+}
+
+// --- History Locking & Merging ---
+
+/**
+ * Checks whether two history entries are identical (same role and parts).
+ * @param {object} a A history entry.
+ * @param {object} b Another history entry.
+ * @return {boolean} True if both entries serialize to the same JSON.
+ */
+function isSameHistoryEntry(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Finds the last position at which a run of entries appears, unchanged and contiguous, in a history.
+ * @param {Array<object>} history The history to search.
+ * @param {Array<object>} entries The entries to look for (must not be empty).
+ * @return {number} The index of the first matching entry, or -1 if the run is not found.
+ */
+function findHistoryEntries(history, entries) {
+    for (let start = history.length - entries.length; start >= 0; start--) {
+        if (entries.every((entry, offset) => isSameHistoryEntry(history[start + offset], entry))) {
+            return start;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Counts the entries a turn pruned that are still at the start of the stored history. Another execution
+ * may have pruned some or all of them in the meantime, in which case only the rest are still there.
+ * @param {Array<object>} history The history as currently stored.
+ * @param {Array<object>} dropped The entries the turn pruned, oldest first.
+ * @return {number} How many of the last pruned entries the history starts with (0 if none).
+ */
+function countRemainingDroppedEntries(history, dropped) {
+    for (let start = 0; start < dropped.length; start++) {
+        const remaining = dropped.slice(start);
+        if (remaining.every((entry, index) => isSameHistoryEntry(history[index], entry))) {
+            return remaining.length;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Applies one turn's changes to the latest stored history, so turns saved by other executions while
+ * the Gemini call was running are kept rather than overwritten.
+ * - Entries the turn pruned are removed from the front, including when another execution already pruned
+ *   some of them (see countRemainingDroppedEntries).
+ * - The entries the turn replaces (the replayed turn, or the answer being continued) are swapped for
+ *   the new entries where they are found. If they are gone, or the turn replaces nothing, the new
+ *   entries are appended at the end.
+ *
+ * @param {Array<object>} latestHistory The history as currently stored.
+ * @param {{dropped: Array<object>, replaced: Array<object>, added: Array<object>}} turnChanges The turn's changes.
+ * @return {Array<object>} The merged history.
+ */
+function mergeTurnIntoHistory(latestHistory, turnChanges) {
+    const { dropped = [], replaced = [], added = [] } = turnChanges;
+    let merged = [...latestHistory];
+
+    merged = merged.slice(countRemainingDroppedEntries(merged, dropped));
+
+    const replacedIndex = replaced.length > 0 ? findHistoryEntries(merged, replaced) : -1;
+    if (replacedIndex !== -1) {
+        merged.splice(replacedIndex, replaced.length, ...added);
+    } else {
+        merged.push(...added);
+    }
+    return merged;
+}
+
+/**
+ * Runs a callback while holding the script lock. If this execution already holds the lock, the callback
+ * runs straight away and the lock is left for the outer holder to release.
+ * @param {number} timeoutMs How long to wait for the lock.
+ * @param {function(): *} callback The work to do under the lock.
+ * @return {{acquired: boolean, result: *}} Whether the lock was acquired, and the callback's return value.
+ */
+function withScriptLock(timeoutMs, callback) {
+    const lock = LockService.getScriptLock();
+    const alreadyHeld = lock.hasLock();
+    if (!alreadyHeld && !lock.tryLock(timeoutMs)) {
+        return { acquired: false, result: undefined };
+    }
+    try {
+        return { acquired: true, result: callback() };
+    } finally {
+        if (!alreadyHeld) {
+            lock.releaseLock();
+        }
+    }
+}
+
+/**
+ * Reloads a conversation's history, applies a change to it and saves it, all while holding the script
+ * lock so concurrent changes to the same conversation cannot overwrite each other. Only the store reads
+ * and writes run under the lock, so other conversations wait at most for one save.
+ *
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @param {function(Array<object>): Array<object>} updateHistory Returns the new history for the latest stored
+ *     one. It runs under the lock, so it may also save data that must stay consistent with the history.
+ * @return {Array<object>|null} The saved history, or null if the lock could not be acquired in time.
+ */
+function updateConversationHistory(conversationKey, updateHistory) {
+    const { acquired, result } = withScriptLock(HISTORY_LOCK_TIMEOUT_MS, () => {
+        const updatedHistory = updateHistory(loadConversationHistory(conversationKey));
+        saveConversationHistory(conversationKey, updatedHistory);
+        return updatedHistory;
+    });
+    if (!acquired) {
+        console.warn(
+            `SAVE_HISTORY: Could not acquire lock within ${HISTORY_LOCK_TIMEOUT_MS} ms for ${conversationKey}. History not saved.`
+        );
+        return null;
+    }
+    return result;
+}
+
+/**
+ * Merges one turn into the latest stored history and saves it (see updateConversationHistory). Only the
+ * store reads and writes happen under the lock; the Gemini call runs before it.
+ * The turn's updated summary is saved under the same lock, and only while some of the entries it covers
+ * are still stored: if another execution pruned all of them, its summary is at least as recent, and if
+ * the history was cleared, the summary must not come back.
+ *
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @param {{dropped: Array<object>, replaced: Array<object>, added: Array<object>, summary: (string|null)}} turnChanges
+ *     The turn's changes (see mergeTurnIntoHistory) and the updated summary covering the dropped entries, if any.
+ * @return {Array<object>|null} The saved history, or null if the lock could not be acquired in time.
+ */
+function saveTurnToHistory(conversationKey, turnChanges) {
+    return updateConversationHistory(conversationKey, (latestHistory) => {
+        const { dropped = [], summary = null } = turnChanges;
+        if (summary && countRemainingDroppedEntries(latestHistory, dropped) > 0) {
+            saveConversationSummary(conversationKey, summary);
+        }
+        return mergeTurnIntoHistory(latestHistory, turnChanges);
+    });
+}
+
+// --- Response Card Actions ---
+const ACTION_REGENERATE = "regenerateResponse";
+const ACTION_SWITCH_TO_PRO = "switchToProResponse";
+const ACTION_CONTINUE = "continueResponse";
+const STALE_ACTION_MESSAGE =
+    "This answer is no longer the latest turn of the conversation, so its buttons don't work anymore. Please ask again instead.";
+
+/**
+ * Builds the button section shown under every model reply.
+ * @param {object} responseActions Details of the turn the buttons act on.
+ * @param {string} responseActions.conversationKey The conversation key (space or thread name).
+ * @param {string} responseActions.model The model that produced the reply.
+ * @param {boolean} responseActions.canContinue True if the reply stopped at MAX_TOKENS.
+ * @param {string} responseActions.turnId The id of the turn the reply belongs to (see getLastTurnId). Clicks
+ *     are refused once a newer turn has been saved.
+ * @return {object} A card section with a buttonList widget.
+ */
+function createResponseActionsSection({ conversationKey, model, canContinue, turnId }) {
+    const createButton = (text, actionFunction, buttonModel) => ({
+        text,
+        onClick: {
+            action: {
+                function: actionFunction,
+                parameters: [
+                    { key: "conversationKey", value: conversationKey },
+                    { key: "model", value: buttonModel },
+                    { key: "turnId", value: turnId || "" },
+                ],
+            },
+        },
+    });
+
+    const buttons = [createButton("Regenerate", ACTION_REGENERATE, model)];
+    if (model !== GEMINI_PRO_MODEL) {
+        buttons.push(createButton("Switch to Pro", ACTION_SWITCH_TO_PRO, GEMINI_PRO_MODEL));
+    }
+    if (canContinue) {
+        buttons.push(createButton("Continue", ACTION_CONTINUE, model));
+    }
+    return { widgets: [{ buttonList: { buttons } }] };
+}
+
+/**
+ * Returns the parameters of a card click as a plain object.
+ * Reads event.common.parameters and falls back to the event.action.parameters key/value list.
+ * @param {object} event The CARD_CLICKED event.
+ * @return {object} The parameters, keyed by name.
+ */
+function getActionParameters(event) {
+    const parameters = { ...(event?.common?.parameters || {}) };
+    (event?.action?.parameters || []).forEach(({ key, value }) => {
+        if (!(key in parameters)) {
+            parameters[key] = value;
+        }
+    });
+    return parameters;
+}
+
+/**
+ * Handles CARD_CLICKED events from response card buttons, the /history viewer and the /settings dialog.
+ * Regenerate and Switch to Pro replay the last user prompt (replacing the last answer in history);
+ * Continue asks the model to carry on and appends to the last answer. The clicked message is updated in
+ * place with the new answer. Buttons only work on the latest turn; clicks on older answers get a private note.
+ * Long-running requests are answered asynchronously (with a placeholder first) when shouldReplyAsync allows it.
+ *
+ * @param {object} event The CARD_CLICKED event object.
+ * @return {object} A Google Chat response: UPDATE_MESSAGE with the new card, or a private error message.
+ */
+function onCardClick(event) {
+    const actionFunction = event?.common?.invokedFunction || event?.action?.actionMethodName;
+    const accessDeniedResponse = enforceAccessControl(event?.user, event?.space?.name);
+    if (accessDeniedResponse) {
+        return accessDeniedResponse;
+    }
+    if (event?.isDialogEvent || [ACTION_OPEN_SETTINGS, ACTION_SAVE_SETTINGS].includes(actionFunction)) {
+        return handleSettingsDialogAction(event, actionFunction);
+    }
+    const parameters = getActionParameters(event);
+    const conversationKey = parameters.conversationKey || getConversationKey(event);
+    const model = parameters.model || GEMINI_MODEL;
+    const threadName = event?.message?.thread?.name || null;
+    console.log(
+        `onCardClick: ${actionFunction} by ${event?.user?.displayName} for ${conversationKey} (model ${model})`
+    );
+
+    if ([ACTION_SHOW_HISTORY_PAGE, ACTION_FORGET_HISTORY_ENTRY].includes(actionFunction)) {
+        return handleHistoryViewerAction(event, actionFunction, parameters);
+    }
+    if (![ACTION_REGENERATE, ACTION_SWITCH_TO_PRO, ACTION_CONTINUE].includes(actionFunction)) {
+        return createCardResponse(`Sorry, I don't recognize the action "${actionFunction}".`, event?.user);
+    }
+    if (!conversationKey) {
+        return createCardResponse("Sorry, I couldn't tell which conversation this is.", event?.user);
+    }
+
+    // Cards rendered before turn ids existed have no turnId and are treated as stale
+    const turn = prepareReplayTurn(conversationKey, actionFunction, parameters.turnId || "");
+    if (!turn) {
+        return createCardResponse(
+            "There is nothing to replay in this conversation's history.",
+            event?.user,
+            { threadName }
+        );
+    }
+    if (turn.isStale) {
+        return createCardResponse(STALE_ACTION_MESSAGE, event?.user, { threadName });
+    }
+
+    const spaceName = getSpaceNameFromConversationKey(conversationKey);
+    const deniedResponse =
+        enforceAccessControl(event?.user, spaceName, model, threadName) ||
+        enforceUsageQuota(event?.user, spaceName, model, threadName);
+    if (deniedResponse) {
+        return deniedResponse;
+    }
+    const turnOptions = { ...turn.turnOptions, userName: event?.user?.name, userEmail: event?.user?.email };
+
+    // The placeholder replaces the clicked card, which only app authentication can update later
+    const tools = getConversationSettings(spaceName).tools;
+    if (event?.message?.name && shouldReplyAsync(model, tools)) {
+        const queued = queueAsyncReplyJob({
+            conversationKey,
+            spaceName: event.space?.name,
+            threadName,
+            userPrompt: turn.userPrompt,
+            model,
+            attachments: [],
+            messageName: event.message.name,
+            turnOptions,
+        });
+        if (queued) {
+            return toUpdateMessageResponse(
+                createCardResponse(ASYNC_REPLY_PLACEHOLDER, null, { threadName })
+            );
+        }
+    }
+
+    const response = handleConversationTurn(conversationKey, turn.userPrompt, model, {
+        threadName,
+        ...turnOptions,
+    });
+    return toUpdateMessageResponse(response);
+}
+
+/**
+ * Works out the prompt and turn options needed to replay the last turn of a conversation.
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @param {string} actionFunction ACTION_REGENERATE, ACTION_SWITCH_TO_PRO or ACTION_CONTINUE.
+ * @param {string} [turnId] The turn id of the clicked card. If given, the replay is refused when it is not
+ *     the latest turn, and handleConversationTurn checks it again before answering.
+ * @return {{userPrompt: string, turnOptions: object}|{isStale: boolean}|null} The replay, {isStale: true} if
+ *     turnId is not the latest turn, or null if history has nothing to replay.
+ */
+function prepareReplayTurn(conversationKey, actionFunction, turnId) {
+    const history = loadConversationHistory(conversationKey);
+    if (history.length === 0) {
+        return null;
+    }
+    if (turnId !== undefined && getLastTurnId(history) !== turnId) {
+        return { isStale: true };
+    }
+    if (actionFunction === ACTION_CONTINUE) {
+        return history[history.length - 1]?.role === "model"
+            ? { userPrompt: CONTINUE_PROMPT, turnOptions: { continueLastResponse: true, expectedTurnId: turnId } }
+            : null;
+    }
+
+    const lastUserEntry = [...history].reverse().find((entry) => entry.role === "user");
+    const userPrompt = lastUserEntry?.parts?.find((part) => typeof part.text === "string")?.text;
+    if (!userPrompt) {
+        return null;
+    }
+    return {
+        userPrompt,
+        turnOptions: {
+            replaceLastTurn: true,
+            attachmentRefs: lastUserEntry.parts.filter((part) => part.attachmentRef),
+            expectedTurnId: turnId,
+        },
+    };
+}
+
+/**
+ * Identifies the latest turn of a conversation by the fingerprint of its last stored entry.
+ * @param {Array<object>} history The stored history.
+ * @return {string} The turn id, or "" if the history is empty.
+ */
+function getLastTurnId(history) {
+    return history.length > 0 ? getHistoryEntryFingerprint(history[history.length - 1]) : "";
+}
+
+/**
+ * Turns a message response into a response that replaces the clicked message.
+ * @param {object} response A response object from createCardResponse.
+ * @return {object} An UPDATE_MESSAGE action response.
+ */
+function toUpdateMessageResponse(response) {
+    return {
+        actionResponse: { type: "UPDATE_MESSAGE" },
+        cardsV2: response.cardsV2,
+    };
+}
+
+// --- History Viewer (/history, /undo, /retry) ---
+const ACTION_SHOW_HISTORY_PAGE = "showHistoryPage";
+const ACTION_FORGET_HISTORY_ENTRY = "forgetHistoryEntry";
+
+/**
+ * Computes a short fingerprint of a history entry, so a "forget" button removes the message it was
+ * shown for even if the history changed after the viewer was rendered.
+ * @param {object} entry A history entry.
+ * @return {string} A base-36 FNV-1a hash of the entry's JSON.
+ */
+function getHistoryEntryFingerprint(entry) {
+    const json = JSON.stringify(entry);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+        hash ^= json.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+/**
+ * Renders one page of a conversation's stored history as a private card. Page 1 holds the newest messages,
+ * and each page lists its messages oldest first, in conversation order. Each message shows its speaker, a
+ * truncated preview and a "Forget" button, which forgets the whole exchange (see findHistoryExchange).
+ *
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @param {object} userForResponse The event.user object (the card is private to them).
+ * @param {number} [page=1] The page to show (1 = newest).
+ * @param {string} [threadName] The thread to reply in.
+ * @param {string} [notice] A message shown above the history, e.g. the result of a "forget".
+ * @return {object} A Google Chat response object (Card V2).
+ */
+function createHistoryViewerResponse(conversationKey, userForResponse, page = 1, threadName = null, notice = null) {
+    const history = loadConversationHistory(conversationKey);
+    const pageCount = Math.max(Math.ceil(history.length / HISTORY_PAGE_SIZE), 1);
+    const currentPage = Math.min(Math.max(page, 1), pageCount);
+    const end = history.length - (currentPage - 1) * HISTORY_PAGE_SIZE;
+    const start = Math.max(end - HISTORY_PAGE_SIZE, 0);
+
+    const intro = [notice ? `${notice}\n` : ""];
+    if (history.length === 0) {
+        intro.push("The conversation history is empty.");
+    } else {
+        intro.push(
+            `The bot remembers ${history.length} message(s) of this conversation. Showing #${start + 1}-#${end}, oldest first (page ${currentPage} of ${pageCount}; page 1 has the newest messages).`
+        );
+    }
+    if (loadConversationSummary(conversationKey)) {
+        intro.push("Older messages are remembered only as a summary.");
+    }
+    const response = createCardResponse(intro.join("\n").trim(), userForResponse, { threadName });
+    if (history.length === 0) {
+        return response;
+    }
+
+    const entries = getExportEntries(history);
+    const createAction = (actionFunction, parameters) => ({
+        action: {
+            function: actionFunction,
+            parameters: [
+                { key: "conversationKey", value: conversationKey },
+                ...Object.entries(parameters).map(([key, value]) => ({ key, value: String(value) })),
+            ],
+        },
+    });
+    const sections = response.cardsV2[0].card.sections;
+    sections.push({
+        widgets: entries.slice(start, end).map((entry, offset) => {
+            const index = start + offset;
+            const attachments = entry.attachments.map((name) => ` [Attachment: ${name}]`).join("");
+            return {
+                decoratedText: {
+                    topLabel: `#${index + 1} · ${entry.speaker}`,
+                    text: truncateContextText(`${entry.text}${attachments}`, HISTORY_PREVIEW_CHARS),
+                    wrapText: true,
+                    button: {
+                        text: "Forget",
+                        onClick: createAction(ACTION_FORGET_HISTORY_ENTRY, {
+                            index,
+                            fingerprint: getHistoryEntryFingerprint(history[index]),
+                            page: currentPage,
+                        }),
+                    },
+                },
+            };
+        }),
+    });
+
+    const buttons = [];
+    if (currentPage < pageCount) {
+        buttons.push({ text: "Older", onClick: createAction(ACTION_SHOW_HISTORY_PAGE, { page: currentPage + 1 }) });
+    }
+    if (currentPage > 1) {
+        buttons.push({ text: "Newer", onClick: createAction(ACTION_SHOW_HISTORY_PAGE, { page: currentPage - 1 }) });
+    }
+    if (buttons.length > 0) {
+        sections.push({ widgets: [{ buttonList: { buttons } }] });
+    }
+    return response;
+}
+
+/**
+ * Finds the exchange a history entry belongs to: the user message and the model answer(s) that follow it.
+ * Forgetting whole exchanges keeps user and model messages alternating in the history.
+ * @param {Array<object>} history The stored history.
+ * @param {number} index The index of an entry in the exchange.
+ * @return {{start: number, end: number}} The exchange's first index and the index after its last entry.
+ */
+function findHistoryExchange(history, index) {
+    let start = index;
+    while (start > 0 && history[start].role !== "user") {
+        start--;
+    }
+    let end = index + 1;
+    while (end < history.length && history[end].role !== "user") {
+        end++;
+    }
+    return { start, end };
+}
+
+/**
+ * Checks whether a history entry is a question the user asked. Questions are stored with their author's
+ * resource name (see handleConversationTurn); in a DM, older questions stored without one count as the user's.
+ * @param {object} entry A history entry.
+ * @param {object} user The event.user object.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @return {boolean} True if the entry is one of the user's questions.
+ */
+function isOwnHistoryEntry(entry, user, spaceType) {
+    if (entry?.role !== "user") {
+        return false;
+    }
+    return entry.author ? entry.author === user?.name : spaceType === "DM";
+}
+
+/**
+ * Finds the user's latest question in a history (see isOwnHistoryEntry).
+ * @param {Array<object>} history The stored history.
+ * @param {object} user The event.user object.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @return {number} The index of the question, or -1 if the user has none.
+ */
+function findLastOwnHistoryEntry(history, user, spaceType) {
+    return history.map((entry) => isOwnHistoryEntry(entry, user, spaceType)).lastIndexOf(true);
+}
+
+/**
+ * Handles the /history viewer's buttons: paging, and forgetting an exchange (a question and its answer).
+ * The viewer card is updated in place. Only the person who asked the question, space managers and admins
+ * may forget an exchange (see canManageSpace).
+ *
+ * @param {object} event The CARD_CLICKED event.
+ * @param {string} actionFunction ACTION_SHOW_HISTORY_PAGE or ACTION_FORGET_HISTORY_ENTRY.
+ * @param {object} parameters The action parameters (conversationKey, page, and index and fingerprint to forget).
+ * @return {object} An UPDATE_MESSAGE response with the viewer, or a private error message.
+ */
+function handleHistoryViewerAction(event, actionFunction, parameters) {
+    const { conversationKey } = parameters;
+    const page = parseInt(parameters.page, 10) || 1;
+    if (!conversationKey || getSpaceNameFromConversationKey(conversationKey) !== event?.space?.name) {
+        return createCardResponse("Sorry, I couldn't tell which conversation this is.", event?.user);
+    }
+
+    let notice = null;
+    if (actionFunction === ACTION_FORGET_HISTORY_ENTRY) {
+        const index = parseInt(parameters.index, 10);
+        const spaceType = event?.space?.type;
+        // Looked up before taking the lock, since it may call the Chat API
+        const mayForgetAny = canManageSpace(event?.user, event?.space?.name, spaceType);
+        let forgotten = [];
+        let isRefused = false;
+        const savedHistory = updateConversationHistory(conversationKey, (history) => {
+            // Use the index shown on the card, or find the message again if the history changed since
+            const matchIndex =
+                getHistoryEntryFingerprint(history[index]) === parameters.fingerprint
+                    ? index
+                    : history.findIndex((entry) => getHistoryEntryFingerprint(entry) === parameters.fingerprint);
+            if (matchIndex === -1) {
+                return history;
+            }
+            const { start, end } = findHistoryExchange(history, matchIndex);
+            if (!mayForgetAny && !isOwnHistoryEntry(history[start], event?.user, spaceType)) {
+                isRefused = true;
+                return history;
+            }
+            forgotten = history.slice(start, end);
+            return [...history.slice(0, start), ...history.slice(end)];
+        });
+        if (!savedHistory) {
+            notice = "_Timed out waiting for the conversation history. Please try again._";
+        } else if (isRefused) {
+            logAccessDenial(
+                event?.user,
+                event?.space?.name,
+                "user is not the author, a space manager or an admin (tried to forget a message)"
+            );
+            notice = "_Sorry, only the person who asked, space managers and admins can forget that exchange._";
+        } else if (forgotten.length === 0) {
+            notice = "_That message is no longer in the history._";
+        } else {
+            notice = `_Forgot ${forgotten.length === 1 ? "the message" : "the question and its answer"}. The bot won't see ${forgotten.length === 1 ? "it" : "them"} in later turns._`;
+            console.log(
+                `HISTORY_VIEWER: ${event?.user?.displayName} forgot ${forgotten.length} message(s) in ${conversationKey}.`
+            );
+        }
+    }
+    return toUpdateMessageResponse(
+        createHistoryViewerResponse(
+            conversationKey,
+            event?.user,
+            page,
+            event?.message?.thread?.name || null,
+            notice
+        )
+    );
+}
+
+/**
+ * Handles /undo: removes the caller's last question and its answer from the history (see
+ * findLastOwnHistoryEntry). Other people's exchanges are left alone, even if they came later.
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @param {object} userForResponse The event.user object.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A private Google Chat response object (Card V2).
+ */
+function handleUndoCommand(conversationKey, userForResponse, spaceType, threadName = null) {
+    let removed = [];
+    const savedHistory = updateConversationHistory(conversationKey, (history) => {
+        const ownIndex = findLastOwnHistoryEntry(history, userForResponse, spaceType);
+        if (ownIndex === -1) {
+            return history;
+        }
+        const { end } = findHistoryExchange(history, ownIndex);
+        removed = history.slice(ownIndex, end);
+        return [...history.slice(0, ownIndex), ...history.slice(end)];
+    });
+    if (!savedHistory) {
+        return createCardResponse(
+            "Timed out waiting for the conversation history. Please try again.",
+            userForResponse,
+            { threadName }
+        );
+    }
+    if (removed.length === 0) {
+        return createCardResponse("You have no question in the history to undo.", userForResponse, { threadName });
+    }
+    const [question] = getExportEntries(removed);
+    console.log(
+        `HISTORY_VIEWER: ${userForResponse?.displayName} undid their last ${removed.length} message(s) in ${conversationKey}.`
+    );
+    return createCardResponse(
+        `Removed your last exchange from the history: "${truncateContextText(question.text, HISTORY_PREVIEW_CHARS)}"`,
+        userForResponse,
+        { threadName }
+    );
+}
+
+/**
+ * Handles /retry: asks the caller's last question again (see findLastOwnHistoryEntry) with the
+ * conversation's default model and replaces its answer where it is in the history. Posts a new reply
+ * (asynchronously for long-running models).
+ *
+ * @param {object} context The command context (see runCommand).
+ * @return {object} A Google Chat response object (Card V2), or an empty response if the reply is asynchronous.
+ */
+function handleRetryCommand(context) {
+    const { conversationKey, spaceName, spaceType, threadName, user } = context;
+    const history = loadConversationHistory(conversationKey);
+    const ownEntry = history[findLastOwnHistoryEntry(history, user, spaceType)];
+    const userPrompt = ownEntry?.parts?.find((part) => typeof part.text === "string")?.text;
+    if (!userPrompt) {
+        return createCardResponse("You have no question to retry in this conversation.", user, { threadName });
+    }
+
+    const { tools } = getConversationSettings(spaceName);
+    const model = getDefaultModelForUser(user, spaceName);
+    const deniedResponse =
+        enforceAccessControl(user, spaceName, model, threadName) ||
+        enforceUsageQuota(user, spaceName, model, threadName);
+    if (deniedResponse) {
+        return deniedResponse;
+    }
+    const turnOptions = {
+        replaceLastTurn: true,
+        replaceEntryFingerprint: getHistoryEntryFingerprint(ownEntry),
+        attachmentRefs: ownEntry.parts.filter((part) => part.attachmentRef),
+        userName: user?.name,
+        userEmail: user?.email,
+    };
+
+    if (shouldReplyAsync(model, tools)) {
+        const asyncResponse = startAsyncReply({
+            conversationKey,
+            spaceName,
+            threadName,
+            userPrompt,
+            model,
+            attachments: [],
+            turnOptions,
+        });
+        if (asyncResponse) {
+            return asyncResponse;
+        }
+        console.warn("Async reply could not be started. Answering /retry synchronously.");
+    }
+    return handleConversationTurn(conversationKey, userPrompt, model, { threadName, ...turnOptions });
+}
+
+// --- Search Grounding Citations ---
+/**
+ * Parses a candidate's groundingMetadata (from the googleSearch and urlContext tools) for rendering.
+ * Support segment offsets are UTF-8 byte offsets into the response part; they are converted to string
+ * indices into the trimmed response text.
+ *
+ * @param {object} groundingMetadata The candidate.groundingMetadata object (may be undefined).
+ * @param {string} partText The untrimmed text of the response part the supports refer to.
+ * @param {number} partIndex The index of that part in candidate.content.parts.
+ * @return {{sources: Array<{title: string, uri: string}>, citations: Array<{endIndex: number, sourceNumbers: number[]}>,
+ *     searchQueries: string[], searchEntryPointHtml: (string|null)}|null} The parsed grounding, or null if there are no sources.
+ */
+function parseGroundingMetadata(groundingMetadata, partText, partIndex) {
+    if (!groundingMetadata) {
+        return null;
+    }
+
+    const sources = (groundingMetadata.groundingChunks || []).map((chunk) => {
+        const reference = chunk.web || chunk.retrievedContext || {};
+        return {
+            title: reference.title || reference.uri || "Source",
+            uri: reference.uri || null,
+        };
+    });
+    const searchQueries = groundingMetadata.webSearchQueries || [];
+    if (sources.length === 0 && searchQueries.length === 0) {
+        return null;
+    }
+
+    const leadingWhitespace = partText.length - partText.trimStart().length;
+    const trimmedLength = partText.trim().length;
+    const citations = [];
+    for (const support of groundingMetadata.groundingSupports || []) {
+        const segment = support.segment || {};
+        if ((segment.partIndex || 0) !== partIndex || !support.groundingChunkIndices?.length) {
+            continue;
+        }
+        let endIndex = -1;
+        if (segment.text) {
+            const segmentStart = partText.indexOf(segment.text);
+            endIndex = segmentStart === -1 ? -1 : segmentStart + segment.text.length;
+        }
+        if (endIndex === -1 && typeof segment.endIndex === "number") {
+            endIndex = utf8ByteOffsetToIndex(partText, segment.endIndex);
+        }
+        endIndex = Math.min(Math.max(endIndex - leadingWhitespace, 0), trimmedLength);
+        citations.push({
+            endIndex,
+            sourceNumbers: support.groundingChunkIndices
+                .filter((chunkIndex) => chunkIndex < sources.length)
+                .map((chunkIndex) => chunkIndex + 1),
+        });
+    }
+
+    return {
+        sources,
+        citations: citations.filter((citation) => citation.sourceNumbers.length > 0),
+        searchQueries,
+        searchEntryPointHtml: groundingMetadata.searchEntryPoint?.renderedContent || null,
+    };
+}
+
+/**
+ * Parses the grounding for an answer whose text may be split across several parts. Citations of each text
+ * part are moved to where that part starts in the joined, trimmed text (see assembleResponseParts).
+ * @param {object} groundingMetadata The candidate's groundingMetadata (may be undefined).
+ * @param {Array<object>} parts The candidate's content parts, including thoughts (partIndex counts them).
+ * @return {object|null} The parsed grounding, or null if there is none.
+ */
+function parseResponseGrounding(groundingMetadata, parts) {
+    const fullText = parts
+        .filter((part) => !part.thought && typeof part.text === "string")
+        .map((part) => part.text)
+        .join("");
+    const fullLeadingWhitespace = fullText.length - fullText.trimStart().length;
+    let grounding = null;
+    const citations = [];
+    let rawOffset = 0;
+    parts.forEach((part, partIndex) => {
+        if (part.thought || typeof part.text !== "string") {
+            return;
+        }
+        const partGrounding = parseGroundingMetadata(groundingMetadata, part.text, partIndex);
+        if (partGrounding) {
+            const leadingWhitespace = part.text.length - part.text.trimStart().length;
+            const offset = Math.max(rawOffset + leadingWhitespace - fullLeadingWhitespace, 0);
+            grounding = partGrounding;
+            citations.push(...shiftGroundingCitations(partGrounding, offset).citations);
+        }
+        rawOffset += part.text.length;
+    });
+    return grounding && { ...grounding, citations };
+}
+
+/**
+ * Moves every citation of a parsed grounding by a fixed offset (used when the text is appended to earlier text).
+ * @param {object|null} grounding The parsed grounding.
+ * @param {number} offset The number of characters in front of the grounded text.
+ * @return {object|null} A grounding with shifted citations.
+ */
+function shiftGroundingCitations(grounding, offset) {
+    if (!grounding) {
+        return grounding;
+    }
+    return {
+        ...grounding,
+        citations: grounding.citations.map((citation) => ({
+            ...citation,
+            endIndex: citation.endIndex + offset,
+        })),
+    };
+}
+
+/**
+ * Converts a UTF-8 byte offset into a JavaScript string index.
+ * @param {string} text The string.
+ * @param {number} byteOffset The byte offset into the string's UTF-8 encoding.
+ * @return {number} The matching string index (clamped to the string length).
+ */
+function utf8ByteOffsetToIndex(text, byteOffset) {
+    let bytes = 0;
+    let index = 0;
+    for (const char of text) {
+        if (bytes >= byteOffset) {
+            break;
+        }
+        const codePoint = char.codePointAt(0);
+        bytes += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        index += char.length;
+    }
+    return index;
+}
+
+/**
+ * Inserts numbered citation markers (e.g. "[1][3]") after each grounded segment of the text.
+ * @param {string} text The response text.
+ * @param {Array<{endIndex: number, sourceNumbers: number[]}>} citations Citations from parseGroundingMetadata.
+ * @return {string} The text with citation markers.
+ */
+function addCitationMarkers(text, citations) {
+    if (!citations || citations.length === 0) {
+        return text;
+    }
+    // Group by position and insert from the end so earlier indices stay valid
+    const markersByIndex = {};
+    for (const citation of citations) {
+        const numbers = markersByIndex[citation.endIndex] || [];
+        citation.sourceNumbers.forEach((number) => {
+            if (!numbers.includes(number)) {
+                numbers.push(number);
+            }
+        });
+        markersByIndex[citation.endIndex] = numbers;
+    }
+    let result = text;
+    Object.keys(markersByIndex)
+        .map(Number)
+        .sort((a, b) => b - a)
+        .forEach((endIndex) => {
+            const marker = markersByIndex[endIndex]
+                .sort((a, b) => a - b)
+                .map((number) => `[${number}]`)
+                .join("");
+            result = result.substring(0, endIndex) + marker + result.substring(endIndex);
+        });
+    return result;
+}
+
+/**
+ * Builds the card sections for search grounding: a "Sources" section with a numbered link button per
+ * source, and a collapsed "Search suggestions" section with the Google Search queries the model ran.
+ * @param {{sources: Array<{title: string, uri: string}>, searchQueries: string[]}} grounding The parsed grounding.
+ * @return {Array<object>} Card sections (may be empty).
+ */
+function createGroundingSections(grounding) {
+    const sections = [];
+    const sourceButtons = grounding.sources
+        .map((source, index) => ({ ...source, number: index + 1 }))
+        .filter((source) => source.uri)
+        .map((source) => ({
+            text: `${source.number}. ${source.title}`.substring(0, 80),
+            onClick: { openLink: { url: source.uri } },
+        }));
+    if (sourceButtons.length > 0) {
+        sections.push({
+            header: "Sources",
+            widgets: [{ buttonList: { buttons: sourceButtons } }],
+        });
+    }
+
+    if (grounding.searchQueries.length > 0) {
+        sections.push({
+            header: "Search suggestions",
+            collapsible: true,
+            uncollapsibleWidgetsCount: 0,
+            widgets: [
+                {
+                    buttonList: {
+                        buttons: grounding.searchQueries.map((query) => ({
+                            text: query.substring(0, 80),
+                            onClick: {
+                                openLink: {
+                                    url: `https://www.google.com/search?q=${encodeURIComponent(query)}`,
+                                },
+                            },
+                        })),
+                    },
+                },
+            ],
+        });
+    }
+    return sections;
+}
+
+// --- Asynchronous Replies ---
+/**
+ * Decides whether a turn should be answered asynchronously, based on the ASYNC_REPLIES script property:
+ * PRO (default) for Pro model requests and turns with local functions enabled (which may take several
+ * rounds), ALL for every request, OFF to always answer synchronously. Asynchronous messages are posted as
+ * the app, so without app authentication (see isChatAppAuthConfigured) every turn is answered synchronously.
+ * @param {string} model The model selected for the turn.
+ * @param {Array<string>} [tools] The AVAILABLE_TOOLS keys enabled for the turn.
+ * @return {boolean} True if the reply should be sent asynchronously.
+ */
+function shouldReplyAsync(model, tools = []) {
+    const mode = (
+        PropertiesService.getScriptProperties().getProperty("ASYNC_REPLIES") || "PRO"
+    ).toUpperCase();
+    if (mode === "OFF" || !isChatAppAuthConfigured()) {
+        return false;
+    }
+    if (mode === "ALL") {
+        return true;
+    }
+    return model === GEMINI_PRO_MODEL || tools.includes(FUNCTION_TOOLS_KEY);
+}
+
+/**
+ * Posts a "thinking…" placeholder (see postChatMessage), queues the turn as a job and schedules a run of
+ * the job queue. Attachments are queued as metadata only and downloaded by the job.
+ *
+ * @param {object} job The turn to run later.
+ * @param {string} job.conversationKey The conversation key (space or thread name).
+ * @param {string} job.spaceName The space to post in.
+ * @param {string} job.threadName The thread to reply in.
+ * @param {string} job.userPrompt The final user prompt.
+ * @param {string} job.model The model to use.
+ * @param {Array<object>} job.attachments The event.message.attachment array (may be empty).
+ * @param {object} [job.turnOptions] Extra handleConversationTurn options (e.g. userName).
+ * @return {object|null} An empty response object (the placeholder was already posted), or null if the
+ *     placeholder or job could not be created and the caller should answer synchronously.
+ */
+function startAsyncReply(job) {
+    let placeholder = null;
+    try {
+        placeholder = postChatMessage(
+            job.spaceName,
+            createCardResponse(ASYNC_REPLY_PLACEHOLDER, null, { threadName: job.threadName })
+        );
+    } catch (e) {
+        console.error(`ASYNC_REPLY: Could not post placeholder message in ${job.spaceName}: ${e}`);
+        return null;
+    }
+
+    if (!queueAsyncReplyJob({ ...job, messageName: placeholder.name })) {
+        updateChatMessage(
+            placeholder.name,
+            createCardResponse(
+                "Sorry, I couldn't schedule your request. Please try again.",
+                null,
+                { threadName: job.threadName }
+            )
+        );
+    }
+    return {};
+}
+
+/**
+ * Stores a job in Script Properties (chunked like history, so long prompts fit) and schedules a run of
+ * the job queue.
+ * @param {object} job The turn to run (see startAsyncReply), including messageName, the message to update.
+ *     job.turnOptions is passed on to handleConversationTurn (e.g. to replay or continue the last turn, or
+ *     the requesting user for usage quotas).
+ * @return {boolean} True if the job was queued.
+ */
+function queueAsyncReplyJob(job) {
+    const jobId = `${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+    const jobKey = `${ASYNC_REPLY_JOB_PREFIX}${jobId}`;
+    const store = createScriptPropertiesHistoryStore();
+    try {
+        writeChunkedValue(store, jobKey, JSON.stringify({ ...job, createdAt: Date.now() }));
+        scheduleAsyncReplyRun();
+        console.log(
+            `ASYNC_REPLY: Queued job ${jobKey} for ${job.conversationKey}. Message to update: ${job.messageName}`
+        );
+        return true;
+    } catch (e) {
+        console.error(`ASYNC_REPLY: Could not queue job ${jobKey}: ${e}`);
+        deleteChunkedValue(store, jobKey);
+        return false;
+    }
+}
+
+/**
+ * Returns the keys of queued jobs, oldest first. Job IDs start with a base-36 timestamp, so they sort by age.
+ * @param {Array<string>} keys Every Script Property key.
+ * @return {Array<string>} The job keys, without the chunk keys of large jobs.
+ */
+function getQueuedAsyncReplyJobKeys(keys) {
+    return keys
+        .filter((key) => key.startsWith(ASYNC_REPLY_JOB_PREFIX) && !key.includes("_chunk_")) // See getChunkKeyPrefix
+        .sort();
+}
+
+/**
+ * Schedules a run of the job queue unless one is already waiting. Each run works through the whole queue,
+ * so a single pending trigger is enough and the project stays under the limit of 20 triggers per user.
+ */
+function scheduleAsyncReplyRun() {
+    const isPending = ScriptApp.getProjectTriggers().some(
+        (trigger) => trigger.getHandlerFunction() === ASYNC_REPLY_HANDLER
+    );
+    if (!isPending) {
+        ScriptApp.newTrigger(ASYNC_REPLY_HANDLER).timeBased().after(1000).create();
+    }
+}
+
+/**
+ * Time-driven trigger handler that runs queued asynchronous replies.
+ * Deletes the pending queue triggers (this run takes over their work), claims each job under a script lock
+ * (so overlapping runs never run a job twice), runs the turn through handleConversationTurn, and replaces
+ * the placeholder with the answer, or with an error message if the turn failed. If the time budget runs out
+ * or a job can't be claimed in time, another run is scheduled for the jobs left.
+ */
+function processAsyncReplies() {
+    ScriptApp.getProjectTriggers()
+        .filter((trigger) => trigger.getHandlerFunction() === ASYNC_REPLY_HANDLER)
+        .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < ASYNC_REPLY_TIME_BUDGET_MS) {
+        const job = claimNextAsyncReplyJob();
+        if (!job) {
+            return; // Queue is empty
+        }
+        if (job.lockTimedOut) {
+            console.warn("ASYNC_REPLY: Could not claim a job in time. Scheduling another run.");
+            scheduleAsyncReplyRun();
+            return;
+        }
+        runAsyncReplyJob(job);
+    }
+
+    const remaining = getQueuedAsyncReplyJobKeys(PropertiesService.getScriptProperties().getKeys());
+    if (remaining.length > 0) {
+        console.log(
+            `ASYNC_REPLY: Time budget used up with ${remaining.length} job(s) left. Scheduling another run.`
+        );
+        scheduleAsyncReplyRun();
+    }
+}
+
+/**
+ * Removes the oldest queued job from Script Properties and returns it.
+ * @return {object|null} The job, {lockTimedOut: true} if the lock could not be acquired, or null if the
+ *     queue is empty.
+ */
+function claimNextAsyncReplyJob() {
+    const { acquired, result } = withScriptLock(10000, () => {
+        const store = createScriptPropertiesHistoryStore();
+        const [jobKey] = getQueuedAsyncReplyJobKeys(store.keys());
+        if (!jobKey) {
+            return null;
+        }
+        let job;
+        try {
+            job = { ...JSON.parse(readChunkedValue(store, jobKey)), jobKey };
+        } catch (e) {
+            console.error(`ASYNC_REPLY: Dropping unreadable job ${jobKey}: ${e}`);
+            job = { jobKey, invalid: true };
+        }
+        deleteChunkedValue(store, jobKey);
+        return job;
+    });
+    if (!acquired) {
+        console.warn("ASYNC_REPLY: Could not acquire lock to claim a job.");
+        return { lockTimedOut: true };
+    }
+    return result;
+}
+
+/**
+ * Runs one queued turn and updates its placeholder message with the result.
+ * @param {object} job A job returned by claimNextAsyncReplyJob.
+ */
+function runAsyncReplyJob(job) {
+    if (job.invalid || !job.messageName) {
+        return;
+    }
+    console.log(
+        `ASYNC_REPLY: Running job ${job.jobKey} for ${job.conversationKey} (queued ${Math.round((Date.now() - job.createdAt) / 1000)}s ago).`
+    );
+
+    let response;
+    try {
+        let attachments = { parts: [], refs: [], errors: [] };
+        if (job.attachments && job.attachments.length > 0) {
+            attachments = prepareAttachments(job.attachments);
+        }
+        if (attachments.errors.length > 0) {
+            response = createCardResponse(
+                `Sorry, I couldn't use your attachment(s):\n${attachments.errors.map((error) => ` • ${error}`).join("\n")}`,
+                null,
+                { threadName: job.threadName }
+            );
+        } else {
+            response = handleConversationTurn(job.conversationKey, job.userPrompt, job.model, {
+                ...(job.turnOptions || {}),
+                threadName: job.threadName,
+                retryBudgetMs: ASYNC_RETRY_BUDGET_MS, // No Chat deadline here, so busy models get more time
+                functionCallBudgetMs: ASYNC_FUNCTION_CALL_TIME_BUDGET_MS,
+                attachmentParts: attachments.parts,
+                attachmentRefs: [...(job.turnOptions?.attachmentRefs || []), ...attachments.refs],
+            });
+        }
+    } catch (e) {
+        console.error(`ASYNC_REPLY: Job ${job.jobKey} failed: ${e}`, e.stack);
+        response = createCardResponse(
+            `Sorry, an unexpected error occurred while working on your request (${e.message}).`,
+            null,
+            { threadName: job.threadName }
+        );
+    }
+    updateChatMessage(job.messageName, response);
+}
+
+// --- Chat API Messages ---
+// Messages the bot posts on its own (asynchronous replies) are created and updated through the Chat REST API
+// with app authentication, so they appear as the app and keep their cards. This needs the JSON key of the
+// Chat app's service account in the CHAT_SERVICE_ACCOUNT_KEY script property; without it, nothing is posted
+// this way and every turn is answered synchronously (see shouldReplyAsync).
+
+/**
+ * Checks whether a service account key for app authentication is configured.
+ * @return {boolean} True if CHAT_SERVICE_ACCOUNT_KEY is set.
+ */
+function isChatAppAuthConfigured() {
+    return Boolean(PropertiesService.getScriptProperties().getProperty("CHAT_SERVICE_ACCOUNT_KEY"));
+}
+
+/**
+ * Gets an access token for the Chat app's service account with the chat.bot scope. Tokens are cached in
+ * the script cache until shortly before they expire.
+ * @return {string} The access token.
+ * @throws {Error} If no key is configured, the key is invalid or the token request fails.
+ */
+function getChatAppAccessToken() {
+    const cache = CacheService.getScriptCache();
+    const cachedToken = cache.get(CHAT_APP_TOKEN_CACHE_KEY);
+    if (cachedToken) {
+        return cachedToken;
+    }
+    const keyJson = PropertiesService.getScriptProperties().getProperty("CHAT_SERVICE_ACCOUNT_KEY");
+    if (!keyJson) {
+        throw new Error("CHAT_SERVICE_ACCOUNT_KEY script property is not set.");
+    }
+    const key = JSON.parse(keyJson);
+    const encode = (data) => Utilities.base64EncodeWebSafe(data).replace(/=+$/, "");
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const unsignedToken = [
+        encode(JSON.stringify({ alg: "RS256", typ: "JWT" })),
+        encode(
+            JSON.stringify({
+                iss: key.client_email,
+                scope: CHAT_APP_SCOPE,
+                aud: GOOGLE_OAUTH_TOKEN_URL,
+                iat: issuedAt,
+                exp: issuedAt + 3600,
+            })
+        ),
+    ].join(".");
+    const signature = encode(Utilities.computeRsaSha256Signature(unsignedToken, key.private_key));
+
+    const response = UrlFetchApp.fetch(GOOGLE_OAUTH_TOKEN_URL, {
+        method: "post",
+        payload: {
+            grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+            assertion: `${unsignedToken}.${signature}`,
+        },
+        muteHttpExceptions: true,
+    });
+    if (response.getResponseCode() !== 200) {
+        throw new Error(
+            `Service account token request failed (${response.getResponseCode()}): ${response.getContentText().substring(0, 200)}`
+        );
+    }
+    const { access_token: accessToken, expires_in: expiresIn } = JSON.parse(response.getContentText());
+    cache.put(CHAT_APP_TOKEN_CACHE_KEY, accessToken, Math.min(Math.max((expiresIn || 3600) - 300, 60), 21600));
+    return accessToken;
+}
+
+/**
+ * Calls the Chat REST API with app authentication.
+ * @param {string} method The HTTP method ("get", "post" or "patch").
+ * @param {string} path The resource path (e.g., "spaces/AAA/messages").
+ * @param {object} [body] The request body (none for "get").
+ * @param {object} [query] Query parameters.
+ * @return {object} The parsed response.
+ * @throws {Error} If the request fails.
+ */
+function callChatApiAsApp(method, path, body = null, query = {}) {
+    const queryString = Object.keys(query)
+        .map((name) => `${name}=${encodeURIComponent(query[name])}`)
+        .join("&");
+    const response = UrlFetchApp.fetch(`${CHAT_API_BASE_URL}${path}${queryString ? `?${queryString}` : ""}`, {
+        method,
+        contentType: "application/json",
+        headers: { Authorization: `Bearer ${getChatAppAccessToken()}` },
+        ...(body ? { payload: JSON.stringify(body) } : {}),
+        muteHttpExceptions: true,
+    });
+    const responseCode = response.getResponseCode();
+    if (responseCode < 200 || responseCode >= 300) {
+        throw new Error(
+            `Chat API ${method.toUpperCase()} ${path} failed (${responseCode}): ${response.getContentText().substring(0, 200)}`
+        );
+    }
+    return JSON.parse(response.getContentText() || "{}");
+}
+
+/**
+ * Posts a new message as the app (see callChatApiAsApp).
+ * @param {string} spaceName The space to post in.
+ * @param {object} response A response object from createCardResponse (its thread is kept).
+ * @return {object} The created message (with its name).
+ * @throws {Error} If the message could not be created, e.g. because app authentication isn't configured.
+ */
+function postChatMessage(spaceName, response) {
+    return callChatApiAsApp("post", `${spaceName}/messages`, response, {
+        messageReplyOption: "REPLY_MESSAGE_FALLBACK_TO_NEW_THREAD",
+    });
+}
+
+/**
+ * Replaces the cards of a message the app posted (see postChatMessage).
+ * @param {string} messageName The message resource name (spaces/.../messages/...).
+ * @param {object} response A response object from createCardResponse.
+ * @return {boolean} True if the message was updated.
+ */
+function updateChatMessage(messageName, response) {
+    try {
+        callChatApiAsApp("patch", messageName, { cardsV2: response.cardsV2 }, { updateMask: "cardsV2" });
+        console.log(`ASYNC_REPLY: Updated message ${messageName}.`);
+        return true;
+    } catch (e) {
+        console.error(`ASYNC_REPLY: Could not update message ${messageName}: ${e}`);
+        return false;
+    }
+}
+
+// --- Attachments ---
+/**
+ * Downloads and validates the attachments of a Chat message and converts them to Gemini parts.
+ * Uploaded files are fetched through the Chat media API. Files up to INLINE_ATTACHMENT_MAX_BYTES are
+ * sent as inlineData; larger ones (up to MAX_ATTACHMENT_BYTES) are uploaded to the Gemini Files API
+ * and sent as fileData. Each attachment also gets a small attachmentRef part for the stored history.
+ *
+ * @param {Array<object>} attachments The event.message.attachment array.
+ * @return {{parts: Array<object>, refs: Array<object>, errors: string[]}} API parts, history references,
+ *     and user-facing error messages for attachments that could not be used.
+ */
+function prepareAttachments(attachments) {
+    const result = { parts: [], refs: [], errors: [] };
+
+    for (const attachment of attachments || []) {
+        const fileName = attachment.contentName || "attachment";
+        const mimeType = (attachment.contentType || "").toLowerCase();
+
+        if (attachment.source === "DRIVE_FILE" || !attachment.attachmentDataRef?.resourceName) {
+            result.errors.push(
+                `${fileName}: Google Drive files aren't supported. Please upload the file directly.`
+            );
+            continue;
+        }
+        if (!SUPPORTED_ATTACHMENT_MIME_TYPES.includes(mimeType)) {
+            result.errors.push(
+                `${fileName}: file type ${mimeType || "unknown"} isn't supported (images, PDF and text files only).`
+            );
+            continue;
+        }
+
+        try {
+            const bytes = downloadChatAttachment(attachment.attachmentDataRef.resourceName);
+            if (bytes.length > MAX_ATTACHMENT_BYTES) {
+                result.errors.push(
+                    `${fileName}: file is too large (${formatBytes(bytes.length)}, limit ${formatBytes(MAX_ATTACHMENT_BYTES)}).`
+                );
+                continue;
+            }
+
+            const ref = {
+                contentName: fileName,
+                contentType: mimeType,
+                sizeBytes: bytes.length,
+                resourceName: attachment.attachmentDataRef.resourceName, // Lets a replayed turn download it again
+            };
+            if (bytes.length <= INLINE_ATTACHMENT_MAX_BYTES) {
+                result.parts.push({
+                    inlineData: { mimeType, data: Utilities.base64Encode(bytes) },
+                });
+            } else {
+                const fileUri = uploadToGeminiFiles(bytes, mimeType, fileName);
+                result.parts.push({ fileData: { mimeType, fileUri } });
+                ref.fileUri = fileUri;
+            }
+            result.refs.push({ attachmentRef: ref });
+            console.log(
+                `ATTACHMENTS: Prepared ${fileName} (${mimeType}, ${formatBytes(bytes.length)}) as ${ref.fileUri ? "fileData" : "inlineData"}.`
+            );
+        } catch (e) {
+            console.error(`ATTACHMENTS: Error preparing attachment ${fileName}: ${e}`);
+            result.errors.push(`${fileName}: I couldn't download this file.`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Rebuilds the API parts of a stored turn's attachments, so a replayed turn (Regenerate, Switch to Pro,
+ * /retry) sends the same files. Files uploaded to the Gemini Files API are sent by URI again; others are
+ * downloaded again through the Chat media API.
+ *
+ * @param {Array<object>} attachmentRefs The attachmentRef parts of the stored user entry.
+ * @return {{parts: Array<object>, errors: string[]}} API parts and user-facing error messages for
+ *     attachments that could not be restored.
+ */
+function restoreAttachmentParts(attachmentRefs) {
+    const result = { parts: [], errors: [] };
+
+    for (const { attachmentRef: ref } of attachmentRefs || []) {
+        const fileName = ref.contentName || "attachment";
+        if (ref.fileUri) {
+            result.parts.push({ fileData: { mimeType: ref.contentType, fileUri: ref.fileUri } });
+            continue;
+        }
+        if (!ref.resourceName) {
+            result.errors.push(`${fileName}: this file was shared before replies could read it again.`);
+            continue;
+        }
+        try {
+            const bytes = downloadChatAttachment(ref.resourceName);
+            result.parts.push({
+                inlineData: { mimeType: ref.contentType, data: Utilities.base64Encode(bytes) },
+            });
+        } catch (e) {
+            console.error(`ATTACHMENTS: Error restoring attachment ${fileName}: ${e}`);
+            result.errors.push(`${fileName}: I couldn't download this file again.`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Downloads the content of an uploaded Chat attachment through the Chat media API.
+ * @param {string} resourceName The attachmentDataRef.resourceName of the attachment.
+ * @return {number[]} The file bytes.
+ * @throws {Error} If the download fails.
+ */
+function downloadChatAttachment(resourceName) {
+    const response = UrlFetchApp.fetch(
+        `https://chat.googleapis.com/v1/media/${resourceName}?alt=media`,
+        {
+            headers: {
+                Authorization: `Bearer ${ScriptApp.getOAuthToken()}`
+            },
+            muteHttpExceptions: true,
+        }
+    );
+    if (response.getResponseCode() !== 200) {
+        throw new Error(
+            `Chat media download failed (Status: ${response.getResponseCode()}): ${response.getContentText().substring(0, 200)}`
+        );
+    }
+    return response.getBlob().getBytes();
+}
+
+/**
+ * Uploads a file to the Gemini Files API so it can be referenced as fileData.
+ * Uploaded files are kept by the API for 48 hours.
+ * @param {number[]} bytes The file bytes.
+ * @param {string} mimeType The file's MIME type.
+ * @param {string} displayName The file name shown in the Files API.
+ * @return {string} The file URI.
+ * @throws {Error} If the upload fails.
+ */
+function uploadToGeminiFiles(bytes, mimeType, displayName) {
+    const response = UrlFetchApp.fetch(
+        "https://generativelanguage.googleapis.com/upload/v1beta/files?uploadType=media",
+        {
+            method: "post",
+            contentType: mimeType,
+            headers: {
+                Authorization: `Bearer ${ScriptApp.getOAuthToken()}`,
+                "X-Goog-Upload-File-Name": displayName,
+            },
+            payload: bytes,
+            muteHttpExceptions: true,
+        }
+    );
+    if (response.getResponseCode() !== 200) {
+        throw new Error(
+            `Gemini Files API upload failed (Status: ${response.getResponseCode()}): ${response.getContentText().substring(0, 200)}`
+        );
+    }
+    const fileUri = JSON.parse(response.getContentText())?.file?.uri;
+    if (!fileUri) {
+        throw new Error("Gemini Files API upload returned no file URI.");
+    }
+    return fileUri;
+}
+
+/**
+ * Describes a stored attachment reference as text.
+ * @param {{contentName: string, contentType: string}} attachmentRef The stored reference.
+ * @return {string} A short placeholder such as "[Attachment: chart.png (image/png)]".
+ */
+function describeAttachmentRef(attachmentRef) {
+    return `[Attachment: ${attachmentRef?.contentName || "file"} (${attachmentRef?.contentType || "unknown type"})]`;
+}
+
+/**
+ * Converts stored history into API contents. attachmentRef parts are replaced by a text placeholder,
+ * except in the newest user entry, where they are replaced by the downloaded inlineData/fileData parts
+ * of the current turn. Other stored parts (function calls, code and output, generated media) are described as
+ * text (see describeHistoryPart). Only role and parts are sent, not other stored fields such as author.
+ * @param {Array<{role: string, parts: Array<object>}>} history The stored history (newest entry last).
+ * @param {Array<object>} [currentAttachmentParts] The current turn's attachment parts.
+ * @return {Array<{role: string, parts: Array<object>}>} The history to send to the API.
+ */
+function buildApiHistory(history, currentAttachmentParts = []) {
+    const lastIndex = history.length - 1;
+    return history.map((entry, index) => {
+        const parts = (entry.parts || []).map((part) =>
+            typeof part.text === "string" || part.attachmentRef ? part : { text: describeHistoryPart(part) }
+        );
+        if (!parts.some((part) => part.attachmentRef)) {
+            return { role: entry.role, parts };
+        }
+        const isCurrentTurn =
+            index === lastIndex && entry.role === "user" && currentAttachmentParts.length > 0;
+        const textParts = parts.filter((part) => !part.attachmentRef);
+        const attachmentParts = isCurrentTurn
+            ? currentAttachmentParts
+            : parts
+                .filter((part) => part.attachmentRef)
+                .map((part) => ({
+                    text: `${describeAttachmentRef(part.attachmentRef)} (shared earlier; content no longer available)`,
+                }));
+        return { role: entry.role, parts: [...textParts, ...attachmentParts] };
+    });
+}
+
+/**
+ * Formats a byte count for messages (e.g., "3.2 MB").
+ * @param {number} bytes The byte count.
+ * @return {string} The formatted size.
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    if (bytes >= 1024) {
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${bytes} bytes`;
+}
+
+// --- Quoted & Thread Context ---
+
+/**
+ * Gets the readable text of a Chat message. The bot's own answers are cards, so their text
+ * paragraphs are used when the message has no plain text.
+ * @param {object} message A Chat message resource.
+ * @return {string} The message text (may be empty).
+ */
+function getChatMessageText(message) {
+    if (message?.text) {
+        return message.text.trim();
+    }
+    const cardText = (message?.cardsV2 || [])
+        .flatMap((card) => card.card?.sections || [])
+        .flatMap((section) => section.widgets || [])
+        .map((widget) => widget.textParagraph?.text)
+        .filter(Boolean)
+        .join("\n");
+    return (cardText || message?.fallbackText || "").trim();
+}
+
+/**
+ * Gets a label for the sender of a Chat message, e.g. "Ann" or "users/123".
+ * @param {object} message A Chat message resource.
+ * @return {string} The sender's display name, resource name, or "Someone".
+ */
+function getMessageSenderLabel(message) {
+    if (message?.sender?.type === "BOT") {
+        return "the bot";
+    }
+    return message?.sender?.displayName || message?.sender?.name || "Someone";
+}
+
+/**
+ * Shortens text to a maximum length, marking the cut.
+ * @param {string} text The text.
+ * @param {number} maxChars The maximum length.
+ * @return {string} The text, truncated with "…" if longer than maxChars.
+ */
+function truncateContextText(text, maxChars) {
+    return text.length > maxChars ? `${text.slice(0, Math.max(maxChars - 1, 0))}…` : text;
+}
+
+/**
+ * Gets how many recent thread messages to add as context (THREAD_CONTEXT_MESSAGES, 0 = off).
+ * @return {number} The number of messages, from 0 to MAX_THREAD_CONTEXT_MESSAGES.
+ */
+function getThreadContextMessageCount() {
+    const count = parseInt(
+        PropertiesService.getScriptProperties().getProperty("THREAD_CONTEXT_MESSAGES") || "0",
+        10
+    );
+    return Number.isFinite(count) ? Math.min(Math.max(count, 0), MAX_THREAD_CONTEXT_MESSAGES) : 0;
+}
+
+/**
+ * Fetches the message the user quoted (event.message.quotedMessageMetadata) as the app (see callChatApiAsApp).
+ * @param {object} message The event's message.
+ * @return {object|null} The quoted message, or null if there is none or it could not be read.
+ */
+function fetchQuotedMessage(message) {
+    const quotedName = message?.quotedMessageMetadata?.name;
+    if (!quotedName) {
+        return null;
+    }
+    try {
+        return callChatApiAsApp("get", quotedName);
+    } catch (e) {
+        console.warn(`CONTEXT: Could not read quoted message ${quotedName}: ${e}`);
+        return null;
+    }
+}
+
+/**
+ * Fetches the most recent messages of the thread a message was posted in, oldest first, as the app
+ * (see callChatApiAsApp). The message itself and the bot's messages (already in the history) are left out.
+ *
+ * @param {string} spaceName The space's resource name.
+ * @param {object} message The event's message.
+ * @param {number} count How many messages to return.
+ * @return {Array<object>} The thread messages (empty if none or they could not be read).
+ */
+function fetchRecentThreadMessages(spaceName, message, count) {
+    const threadName = message?.thread?.name;
+    if (!threadName || count <= 0) {
+        return [];
+    }
+    try {
+        const result = callChatApiAsApp("get", `${spaceName}/messages`, null, {
+            filter: `thread.name = ${threadName}`,
+            orderBy: "createTime desc",
+            pageSize: count + 1, // The list includes the current message
+        });
+        return (result?.messages || [])
+            .filter((threadMessage) => threadMessage.name !== message.name && threadMessage.sender?.type !== "BOT")
+            .slice(0, count)
+            .reverse();
+    } catch (e) {
+        console.warn(`CONTEXT: Could not list messages of thread ${threadName}: ${e}`);
+        return [];
+    }
+}
+
+/**
+ * Builds labelled context from the message the user quoted and, if THREAD_CONTEXT_MESSAGES is set, the
+ * thread's recent messages, so prompts like "summarize this" act on what the user pointed at.
+ * Each message is capped at CONTEXT_MESSAGE_MAX_CHARS and the whole context at MESSAGE_CONTEXT_MAX_CHARS;
+ * the quoted message comes first and the oldest thread messages are the first to be left out.
+ * Messages are read as the app, never as the script's account, so without app authentication
+ * (CHAT_SERVICE_ACCOUNT_KEY) no context is added.
+ *
+ * @param {string} spaceName The space's resource name.
+ * @param {object} message The event's message.
+ * @return {string} The context to send with the prompt, or "" if there is none.
+ */
+function buildMessageContext(spaceName, message) {
+    if (!isChatAppAuthConfigured()) {
+        if (message?.quotedMessageMetadata?.name || getThreadContextMessageCount() > 0) {
+            console.log("CONTEXT: App authentication isn't configured, so no message context is added.");
+        }
+        return "";
+    }
+    const blocks = [];
+    let remainingChars = MESSAGE_CONTEXT_MAX_CHARS;
+
+    const quotedMessage = fetchQuotedMessage(message);
+    const quotedText = getChatMessageText(quotedMessage);
+    if (quotedText) {
+        const text = truncateContextText(quotedText, Math.min(CONTEXT_MESSAGE_MAX_CHARS, remainingChars));
+        remainingChars -= text.length;
+        blocks.push(
+            `[Message quoted by the user, from ${getMessageSenderLabel(quotedMessage)}]\n${text}\n[End of quoted message]`
+        );
+    }
+
+    const threadLines = [];
+    const threadMessages = fetchRecentThreadMessages(spaceName, message, getThreadContextMessageCount())
+        .filter((threadMessage) => threadMessage.name !== quotedMessage?.name);
+    // Newest first, so the oldest messages are the ones left out when the cap is reached
+    for (const threadMessage of threadMessages.reverse()) {
+        const text = getChatMessageText(threadMessage);
+        if (!text) {
+            continue;
+        }
+        const line = `${getMessageSenderLabel(threadMessage)}: ${truncateContextText(text, CONTEXT_MESSAGE_MAX_CHARS)}`;
+        if (line.length > remainingChars) {
+            break;
+        }
+        remainingChars -= line.length;
+        threadLines.unshift(line);
+    }
+    if (threadLines.length > 0) {
+        blocks.push(`[Recent messages in this thread, oldest first]\n${threadLines.join("\n")}\n[End of thread messages]`);
+    }
+
+    if (blocks.length > 0) {
+        console.log(
+            `CONTEXT: Added ${quotedText ? "the quoted message and " : ""}${threadLines.length} thread message(s) as context (${MESSAGE_CONTEXT_MAX_CHARS - remainingChars} chars).`
+        );
+    }
+    return blocks.join("\n\n");
+}
+
+// --- Token Budget Pruning & Rolling Summaries ---
+/**
+ * Returns the token budget for the history sent with each turn (HISTORY_TOKEN_BUDGET script property,
+ * or DEFAULT_HISTORY_TOKEN_BUDGET).
+ * @return {number} The token budget.
+ */
+function getHistoryTokenBudget() {
+    const configured = parseInt(
+        PropertiesService.getScriptProperties().getProperty("HISTORY_TOKEN_BUDGET"),
+        10
+    );
+    return configured > 0 ? configured : DEFAULT_HISTORY_TOKEN_BUDGET;
+}
+
+/**
+ * Estimates the token count of a history entry locally (~4 characters per token).
+ * Other parts are counted by the text they are sent as in later turns (see buildApiHistory).
+ * @param {{role: string, parts: Array<object>}} entry The history entry.
+ * @return {number} The estimated token count.
+ */
+function estimateEntryTokens(entry) {
+    const parts = Array.isArray(entry?.parts) ? entry.parts : [];
+    return parts.reduce(
+        (total, part) =>
+            total +
+            (typeof part.text === "string"
+                ? Math.ceil(part.text.length / 4)
+                : part.attachmentRef
+                    ? 20 // Sent as a short placeholder in later turns
+                    : Math.ceil(describeHistoryPart(part).length / 4)),
+        4 // Per-message overhead (role and separators)
+    );
+}
+
+/**
+ * Counts tokens for a history with the Gemini countTokens endpoint.
+ * @param {Array<{role: string, parts: Array<object>}>} history The history to count.
+ * @param {string} model The model whose tokenizer to use.
+ * @return {number|null} The total token count, or null if the call failed.
+ */
+function countTokensWithApi(history, model) {
+    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:countTokens`;
+    try {
+        const response = UrlFetchApp.fetch(endpoint, {
+            method: "post",
+            contentType: "application/json",
+            headers: {
+                Authorization: `Bearer ${ScriptApp.getOAuthToken()}`
+            },
+            payload: JSON.stringify({ contents: history }),
+            muteHttpExceptions: true,
+        });
+        if (response.getResponseCode() !== 200) {
+            console.warn(
+                `COUNT_TOKENS: countTokens returned ${response.getResponseCode()}: ${response.getContentText().substring(0, 200)}`
+            );
+            return null;
+        }
+        const totalTokens = JSON.parse(response.getContentText()).totalTokens;
+        return typeof totalTokens === "number" ? totalTokens : null;
+    } catch (e) {
+        console.warn(`COUNT_TOKENS: countTokens call failed: ${e}`);
+        return null;
+    }
+}
+
+/**
+ * Measures the token count of each history entry.
+ * With TOKEN_COUNT_METHOD=API, the whole history is counted once with the countTokens endpoint and the
+ * local per-entry estimates are scaled to match that total. Otherwise (or if the call fails) the local
+ * estimator is used as is.
+ * @param {Array<{role: string, parts: Array<object>}>} history The history to measure.
+ * @param {string} model The model whose tokenizer to use for API counting.
+ * @return {number[]} Token counts, one per entry.
+ */
+function measureHistoryTokens(history, model) {
+    const estimates = history.map(estimateEntryTokens);
+    const method = (
+        PropertiesService.getScriptProperties().getProperty("TOKEN_COUNT_METHOD") || "ESTIMATE"
+    ).toUpperCase();
+    if (method !== "API" || history.length === 0) {
+        return estimates;
+    }
+
+    // Stored references (attachments, function calls, code, media) are rejected by countTokens, so the history
+    // is counted in the form it is sent in
+    const apiTotal = countTokensWithApi(buildApiHistory(history), model);
+    const estimatedTotal = estimates.reduce((sum, tokens) => sum + tokens, 0);
+    if (!apiTotal || !estimatedTotal) {
+        return estimates;
+    }
+    const scale = apiTotal / estimatedTotal;
+    console.log(
+        `COUNT_TOKENS: API total ${apiTotal}, local estimate ${estimatedTotal} (scale ${scale.toFixed(2)}).`
+    );
+    return estimates.map((tokens) => Math.ceil(tokens * scale));
+}
+
+/**
+ * Splits a history into the newest entries that fit the token budget and the older entries to drop.
+ * Also caps the kept entries at maxLength messages, always keeps the newest entry, and makes sure the
+ * kept history doesn't start with a 'model' message.
+ *
+ * @param {Array<{role: string, parts: Array<object>}>} history The history array.
+ * @param {number[]} tokenCounts Token count of each entry.
+ * @param {number} tokenBudget The maximum total tokens to keep.
+ * @param {number} [maxLength=MAX_HISTORY_LENGTH] The maximum number of entries to keep (the space's history depth).
+ * @return {{kept: Array<object>, dropped: Array<object>}} The entries to keep and the entries pruned (oldest first).
+ */
+function splitHistoryForBudget(history, tokenCounts, tokenBudget, maxLength = MAX_HISTORY_LENGTH) {
+    let firstKeptIndex = history.length;
+    let usedTokens = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const withinBudget = usedTokens + tokenCounts[i] <= tokenBudget;
+        const withinLength = history.length - i <= maxLength;
+        const isNewest = i === history.length - 1;
+        if (!isNewest && (!withinBudget || !withinLength)) {
+            break;
+        }
+        usedTokens += tokenCounts[i];
+        firstKeptIndex = i;
+    }
+
+    // Ensure history starts with user if possible after pruning
+    while (
+        firstKeptIndex > 0 &&
+        firstKeptIndex < history.length - 1 &&
+        history[firstKeptIndex].role === "model"
+    ) {
+        firstKeptIndex++;
+    }
+
+    return {
+        kept: history.slice(firstKeptIndex),
+        dropped: history.slice(0, firstKeptIndex),
+    };
+}
+
+/**
+ * Prunes a conversation history to the token budget.
+ * Removes oldest entries and ensures it doesn't start with a 'model' message. When anything has to go,
+ * the history is cut further, to PRUNE_BATCH_RATIO of the budget and length, so the next few turns
+ * fit without pruning (and summarizing) again.
+ *
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} history The history array.
+ * @param {number} [tokenBudget] The maximum total tokens to keep. Defaults to getHistoryTokenBudget().
+ * @param {string} [model=GEMINI_MODEL] The model whose tokenizer to use for API counting.
+ * @param {number} [maxLength=MAX_HISTORY_LENGTH] The maximum number of entries to keep.
+ * @return {{history: Array<object>, dropped: Array<object>}} The pruned history and the removed entries (oldest first).
+ */
+function pruneHistory(
+    history,
+    tokenBudget = getHistoryTokenBudget(),
+    model = GEMINI_MODEL,
+    maxLength = MAX_HISTORY_LENGTH
+) {
+    if (!Array.isArray(history)) {
+        console.error("PRUNE_HISTORY: Input is not an array.", history);
+        return { history: [], dropped: [] }; // Return empty array if input is invalid
+    }
+    if (history.length === 0) {
+        return { history, dropped: [] };
+    }
+
+    const tokenCounts = measureHistoryTokens(history, model);
+    let { kept, dropped } = splitHistoryForBudget(history, tokenCounts, tokenBudget, maxLength);
+    if (dropped.length > 0) {
+        ({ kept, dropped } = splitHistoryForBudget(
+            history,
+            tokenCounts,
+            Math.floor(tokenBudget * PRUNE_BATCH_RATIO),
+            Math.max(Math.floor(maxLength * PRUNE_BATCH_RATIO), 1)
+        ));
+        const totalTokens = tokenCounts.reduce((sum, tokens) => sum + tokens, 0);
+        console.log(
+            `PRUNE_HISTORY: Pruning history: Removing oldest ${dropped.length} message(s). Original length: ${history.length}, ~${totalTokens} tokens, budget ${tokenBudget}.`
+        );
+        console.log(`PRUNE_HISTORY: Pruned length: ${kept.length}`);
+    }
+    return { history: kept, dropped };
+}
+
+/**
+ * Generates the history store key for the rolling summary of a conversation's pruned turns.
+ * Stored next to the history, so clearing a space's history also removes its summaries.
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @return {string} The store key (e.g., "spaces/AAA..._history_summary").
+ */
+function getHistorySummaryKey(conversationKey) {
+    const historyKey = getHistoryPropertyKey(conversationKey);
+    return historyKey ? `${historyKey}_summary` : null;
+}
+
+/**
+ * Loads the rolling summary of a conversation's pruned turns.
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @return {string} The summary, or an empty string if none is stored.
+ */
+function loadConversationSummary(conversationKey) {
+    const summaryKey = getHistorySummaryKey(conversationKey);
+    if (!summaryKey) {
+        return "";
+    }
+    try {
+        return readChunkedValue(getHistoryStore(), summaryKey) || "";
+    } catch (e) {
+        console.error(`LOAD_SUMMARY: Error reading summary [${summaryKey}]: ${e}`);
+        return "";
+    }
+}
+
+/**
+ * Saves (or, when empty, deletes) the rolling summary of a conversation's pruned turns.
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @param {string} summary The summary text.
+ */
+function saveConversationSummary(conversationKey, summary) {
+    const summaryKey = getHistorySummaryKey(conversationKey);
+    if (!summaryKey) {
+        return;
+    }
+    try {
+        if (summary) {
+            writeChunkedValue(getHistoryStore(), summaryKey, summary);
+        } else {
+            deleteChunkedValue(getHistoryStore(), summaryKey);
+        }
+    } catch (e) {
+        console.error(`SAVE_SUMMARY: Error saving summary [${summaryKey}]: ${e}`);
+    }
+}
+
+/**
+ * Condenses turns that fell out of the token budget into the rolling summary using GEMINI_MODEL.
+ * The call goes through the usual retries. Its tokens are added to the user's and space's quota and usage,
+ * but it isn't counted as a request: it is part of the turn that triggered it.
+ * @param {string} previousSummary The current summary (may be empty).
+ * @param {Array<{role: string, parts: Array<object>}>} droppedEntries The pruned entries, oldest first.
+ * @param {object} [options] Optional settings.
+ * @param {string} [options.userName] The user whose turn triggered the summary (users/...).
+ * @param {string} [options.spaceName] The space the conversation belongs to.
+ * @param {number} [options.retryBudgetMs] Time allowed for retrying the call.
+ * @return {string|null} The updated summary, or null if the summarization call failed.
+ */
+function summarizeDroppedTurns(previousSummary, droppedEntries, options = {}) {
+    const transcript = droppedEntries
+        .map((entry) => {
+            const text = (entry.parts || []).map(describeHistoryPart).join("\n");
+            return `${entry.role === "model" ? "Assistant" : "User"}: ${text}`;
+        })
+        .join("\n\n");
+
+    const summaryPrompt =
+        `You maintain a running summary of a chat conversation between users and an AI assistant. ` +
+        `Update the summary with the new turns below. Keep key facts, names, decisions, numbers, open questions ` +
+        `and user preferences; drop small talk. Reply with the updated summary only, in at most ${SUMMARY_MAX_WORDS} words.\n\n` +
+        `Current summary:\n${previousSummary || "(none)"}\n\n` +
+        `New turns:\n${transcript}`;
+
+    const summary = callGeminiApiWithHistory(
+        [{ role: "user", parts: [{ text: summaryPrompt }] }],
+        GEMINI_MODEL,
+        { tools: [], retryBudgetMs: options.retryBudgetMs }
+    );
+    if (summary?.usageMetadata) {
+        const answeringModel = summary.model || GEMINI_MODEL;
+        recordQuotaUsage(options.userName, options.spaceName, answeringModel, summary.usageMetadata, {
+            countRequest: false,
+        });
+        recordTurnUsage(options.userName, options.spaceName, answeringModel, summary.usageMetadata, {
+            countRequest: false,
+        });
+    }
+    if (isGeminiErrorResponse(summary) || !summary.text) {
+        console.warn(`SUMMARIZE: Summarization failed: ${summary?.text}`);
+        return null;
+    }
+    return summary.text;
+}
+
+/**
+ * Prunes a conversation's history to the token budget (minus the space taken by the summary) and
+ * folds any pruned turns into the conversation's rolling summary. The summary is not saved here: it is
+ * saved with the turn, under the history lock (see saveTurnToHistory).
+ * If summarization fails, the turns are still pruned and the previous summary is kept.
+ *
+ * @param {string} conversationKey The conversation key (space or thread name).
+ * @param {Array<{role: string, parts: Array<object>}>} history The full history, including the new user prompt.
+ * @param {number} [maxLength=MAX_HISTORY_LENGTH] The maximum number of entries to keep (the space's history depth).
+ * @param {object} [summaryOptions] Passed to summarizeDroppedTurns (userName, spaceName, retryBudgetMs).
+ * @return {{history: Array<object>, summary: string, updatedSummary: (string|null)}} The pruned history, the
+ *     current summary, and the summary to save (null if it didn't change).
+ */
+function pruneAndSummarizeHistory(conversationKey, history, maxLength = MAX_HISTORY_LENGTH, summaryOptions = {}) {
+    let summary = loadConversationSummary(conversationKey);
+    const summaryTokens = summary ? Math.ceil(summary.length / 4) : 0;
+    const tokenBudget = Math.max(getHistoryTokenBudget() - summaryTokens, 0);
+
+    const { history: prunedHistory, dropped } = pruneHistory(history, tokenBudget, GEMINI_MODEL, maxLength);
+    let updatedSummary = null;
+    if (dropped.length > 0) {
+        updatedSummary = summarizeDroppedTurns(summary, dropped, summaryOptions);
+        if (updatedSummary) {
+            summary = updatedSummary;
+            console.log(
+                `SUMMARIZE: Folded ${dropped.length} pruned message(s) into the summary for ${conversationKey}.`
+            );
+        }
+    }
+    return { history: prunedHistory, summary, updatedSummary };
+}
+
+/**
+ * Puts the rolling summary in front of the history sent to the API, as clearly labelled context.
+ * @param {string} summary The rolling summary (may be empty).
+ * @param {Array<{role: string, parts: Array<object>}>} history The pruned history.
+ * @return {Array<{role: string, parts: Array<object>}>} The history to send.
+ */
+function prependSummaryToHistory(summary, history) {
+    if (!summary) {
+        return history;
+    }
+    return [
+        {
+            role: "user",
+            parts: [
+                {
+                    text: `(Summary of earlier parts of this conversation that are no longer shown in full:\n${summary})`,
+                },
+            ],
+        },
+        ...history,
+    ];
+}
+
+// --- Access Control ---
+// Driven by Script Properties holding comma-separated lists. User entries are email addresses or users/...
+// resource names, space entries are spaces/... resource names; matching ignores case.
+//   DENIED_USERS, DENIED_SPACES: always refused.
+//   ALLOWED_USERS, ALLOWED_DOMAINS: when either is set, a user must be listed or have an email in an allowed domain.
+//   ALLOWED_SPACES: when set, only these spaces are served. DMs are spaces too and must be listed to be served.
+//   PRO_USERS: when set, only these users (and ADMIN_USERS) may use the Pro model.
+
+/**
+ * Reads a comma-separated list from a script property.
+ * @param {string} propertyName The property name.
+ * @return {Array<string>} The lower-cased, trimmed entries (empty if the property is unset).
+ */
+function getAccessList(propertyName) {
+    return (PropertiesService.getScriptProperties().getProperty(propertyName) || "")
+        .split(",")
+        .map((entry) => entry.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Checks whether a user matches an access list by email address or resource name.
+ * @param {object} user The event.user object.
+ * @param {Array<string>} list Entries from getAccessList.
+ * @return {boolean} True if the user is listed.
+ */
+function isUserInAccessList(user, list) {
+    return [user?.email, user?.name].some((id) => id && list.includes(id.toLowerCase()));
+}
+
+/**
+ * Checks whether a user is listed in the ADMIN_USERS script property.
+ * @param {object} user The event.user object.
+ * @return {boolean} True if the user is an admin.
+ */
+function isAdminUser(user) {
+    return isUserInAccessList(user, getAccessList("ADMIN_USERS"));
+}
+
+/**
+ * Checks whether a user may change a space's shared settings (history scope, persona, /settings) and act on
+ * other people's messages in its history. In DMs the user always may; in spaces, admins (ADMIN_USERS) and the
+ * space's managers may. Managers are looked up with app authentication, so without CHAT_SERVICE_ACCOUNT_KEY
+ * only admins qualify in spaces.
+ * @param {object} user The event.user object.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} spaceType The type of the space ('DM' or 'ROOM').
+ * @return {boolean} True if the user may manage the space.
+ */
+function canManageSpace(user, spaceName, spaceType) {
+    if (spaceType === "DM" || isAdminUser(user)) {
+        return true;
+    }
+    if (!user?.name || !spaceName || !isChatAppAuthConfigured()) {
+        return false;
+    }
+    try {
+        const memberId = user.name.replace(/^users\//, "");
+        return callChatApiAsApp("get", `${spaceName}/members/${memberId}`).role === "ROLE_MANAGER";
+    } catch (e) {
+        console.warn(`ACCESS: Could not look up the membership of ${user.name} in ${spaceName}: ${e.message}`);
+        return false;
+    }
+}
+
+/**
+ * Logs and refuses a change that only space managers and admins may make (see canManageSpace).
+ * @param {object} user The event.user object.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} action What the user tried to do, e.g. "change the history scope".
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A private Google Chat response object (Card V2).
+ */
+function createSpaceManagerOnlyResponse(user, spaceName, action, threadName = null) {
+    return createAccessDeniedResponse(
+        user,
+        spaceName,
+        `user is not a space manager or admin (tried to ${action})`,
+        `Sorry, only space managers and admins can ${action} here.`,
+        threadName
+    );
+}
+
+/**
+ * Decides whether a user may use the bot in a space.
+ * @param {object} user The event.user object.
+ * @param {string} spaceName The space's resource name.
+ * @return {string|null} The reason for refusing (for the log), or null if access is allowed.
+ */
+function getAccessDenialReason(user, spaceName) {
+    const space = (spaceName || "").toLowerCase();
+    if (isUserInAccessList(user, getAccessList("DENIED_USERS"))) {
+        return "user is in DENIED_USERS";
+    }
+    if (space && getAccessList("DENIED_SPACES").includes(space)) {
+        return "space is in DENIED_SPACES";
+    }
+
+    const allowedUsers = getAccessList("ALLOWED_USERS");
+    const allowedDomains = getAccessList("ALLOWED_DOMAINS");
+    if (allowedUsers.length > 0 || allowedDomains.length > 0) {
+        const domain = (user?.email || "").split("@")[1]?.toLowerCase();
+        const isAllowed =
+            isUserInAccessList(user, allowedUsers) || Boolean(domain && allowedDomains.includes(domain));
+        if (!isAllowed) {
+            return user?.email
+                ? "user is not in ALLOWED_USERS and email domain is not in ALLOWED_DOMAINS"
+                : "user has no email address to check against ALLOWED_DOMAINS";
+        }
+    }
+
+    const allowedSpaces = getAccessList("ALLOWED_SPACES");
+    if (allowedSpaces.length > 0 && !allowedSpaces.includes(space)) {
+        return "space is not in ALLOWED_SPACES";
+    }
+    return null;
+}
+
+/**
+ * Checks whether a user may use the Pro model (PRO_USERS, or any user when PRO_USERS is unset).
+ * Admins may always use it.
+ * @param {object} user The event.user object.
+ * @return {boolean} True if the user may use the Pro model.
+ */
+function canUseProModel(user) {
+    const proUsers = getAccessList("PRO_USERS");
+    return proUsers.length === 0 || isUserInAccessList(user, proUsers) || isAdminUser(user);
+}
+
+/**
+ * Returns the model a user's turn uses when they didn't ask for one (/pro, !pro): the space's default model,
+ * or GEMINI_MODEL if the default is the Pro model and the user may not use it (see canUseProModel).
+ * @param {object} user The event.user object.
+ * @param {string} spaceName The space's resource name.
+ * @return {string} The model to use.
+ */
+function getDefaultModelForUser(user, spaceName) {
+    const model = getConversationSettings(spaceName).model;
+    if (model === GEMINI_PRO_MODEL && !canUseProModel(user)) {
+        console.log(`ACCESS: ${user?.name} is not in PRO_USERS; using ${GEMINI_MODEL} instead of the space's default Pro model.`);
+        return GEMINI_MODEL;
+    }
+    return model;
+}
+
+/**
+ * Logs a denied request. Every refusal goes through here, so denials can be found with "ACCESS_DENIED".
+ * @param {object} user The event.user object.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} reason Why access was denied.
+ */
+function logAccessDenial(user, spaceName, reason) {
+    console.warn(
+        `ACCESS_DENIED: user=${user?.name} email=${user?.email || "(none)"} space=${spaceName} reason=${reason}`
+    );
+}
+
+/**
+ * Logs a denied request and returns a private refusal message.
+ * @param {object} user The event.user object.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} reason Why access was denied (logged, not shown).
+ * @param {string} message The text shown to the user.
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A private Google Chat response object (Card V2).
+ */
+function createAccessDeniedResponse(user, spaceName, reason, message, threadName = null) {
+    logAccessDenial(user, spaceName, reason);
+    return createCardResponse(message, user, { threadName });
+}
+
+/**
+ * Checks access to the bot and, for Pro model requests, to the Pro model.
+ * @param {object} user The event.user object.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} [model] The model the request will use, if it calls Gemini.
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object|null} A private refusal response, or null if the request is allowed.
+ */
+function enforceAccessControl(user, spaceName, model = null, threadName = null) {
+    const reason = getAccessDenialReason(user, spaceName);
+    if (reason) {
+        return createAccessDeniedResponse(
+            user,
+            spaceName,
+            reason,
+            "Sorry, you're not authorized to use this bot here. Contact your administrator if you need access.",
+            threadName
+        );
+    }
+    if (model === GEMINI_PRO_MODEL && !canUseProModel(user)) {
+        return createAccessDeniedResponse(
+            user,
+            spaceName,
+            "user is not in PRO_USERS",
+            `Sorry, you're not authorized to use the Pro model (${GEMINI_PRO_MODEL}). Try again without \`/pro\` or \`Use pro.\`.`,
+            threadName
+        );
+    }
+    return null;
+}
+
+// --- Usage Quotas ---
+// Daily counters of requests and tokens (from the usageMetadata of each Gemini response), kept per user and
+// per space in Script Properties. Pro model requests are counted in the totals and again in a separate Pro
+// bucket. Limits come from Script Properties (see QUOTA_LIMIT_PROPERTIES); unset or 0 means unlimited.
+// Days follow the script's time zone.
+// Script Properties are limited to 500KB in total, shared by these counters, the monthly usage records, queued
+// asynchronous replies, space settings and (with the default HISTORY_STORE) conversation history. Counters are
+// small (one per active user and space per day) and earlier days are deleted, but busy deployments should keep
+// history in a sheet (HISTORY_STORE=SHEET) to leave room for them.
+const QUOTA_COUNTER_PREFIX = "quota_"; // Script Property prefix: quota_<yyyy-MM-dd>_<user|space>_<resource name>
+const QUOTA_COUNTER_LOCK_TIMEOUT_MS = 5000; // How long a turn waits for the lock to add its usage to the counters
+const QUOTA_CLEANUP_CACHE_KEY = "quota_cleanup"; // Script cache marker: earlier days' counters were deleted recently
+const QUOTA_LIMIT_PROPERTIES = {
+    user: {
+        requests: "QUOTA_USER_REQUESTS_PER_DAY",
+        tokens: "QUOTA_USER_TOKENS_PER_DAY",
+        proRequests: "QUOTA_USER_PRO_REQUESTS_PER_DAY",
+        proTokens: "QUOTA_USER_PRO_TOKENS_PER_DAY",
+    },
+    space: {
+        requests: "QUOTA_SPACE_REQUESTS_PER_DAY",
+        tokens: "QUOTA_SPACE_TOKENS_PER_DAY",
+        proRequests: "QUOTA_SPACE_PRO_REQUESTS_PER_DAY",
+        proTokens: "QUOTA_SPACE_PRO_TOKENS_PER_DAY",
+    },
+};
+const QUOTA_COUNTER_LABELS = {
+    requests: "requests",
+    tokens: "tokens",
+    proRequests: "Pro requests",
+    proTokens: "Pro tokens",
+};
+
+/**
+ * Returns the quota day (yyyy-MM-dd in the script's time zone) of a date.
+ * @param {Date} [date] The date. Defaults to now.
+ * @return {string} The day.
+ */
+function getQuotaDay(date = new Date()) {
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd");
+}
+
+/**
+ * Returns the Script Property key of a daily usage counter.
+ * @param {string} day The quota day (see getQuotaDay).
+ * @param {string} scope "user" or "space".
+ * @param {string} resourceName The user (users/...) or space (spaces/...) resource name.
+ * @return {string} The property key.
+ */
+function getQuotaCounterKey(day, scope, resourceName) {
+    return `${QUOTA_COUNTER_PREFIX}${day}_${scope}_${resourceName}`;
+}
+
+/**
+ * Reads today's usage counter for a user or space.
+ * @param {string} scope "user" or "space".
+ * @param {string} resourceName The user or space resource name.
+ * @return {{requests: number, tokens: number, proRequests: number, proTokens: number}} The counter (zeros if unused).
+ */
+function loadQuotaCounter(scope, resourceName) {
+    const counter = { requests: 0, tokens: 0, proRequests: 0, proTokens: 0 };
+    const storedCounter = PropertiesService.getScriptProperties().getProperty(
+        getQuotaCounterKey(getQuotaDay(), scope, resourceName)
+    );
+    if (storedCounter) {
+        try {
+            Object.assign(counter, JSON.parse(storedCounter));
+        } catch (e) {
+            console.error(`QUOTA: Ignoring unreadable counter for ${scope} ${resourceName}: ${e}`);
+        }
+    }
+    return counter;
+}
+
+/**
+ * Reads the daily limits for a scope from Script Properties.
+ * @param {string} scope "user" or "space".
+ * @return {object} The limits by counter field; fields without a positive limit are left out.
+ */
+function getQuotaLimits(scope) {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const limits = {};
+    Object.entries(QUOTA_LIMIT_PROPERTIES[scope]).forEach(([field, propertyName]) => {
+        const limit = parseInt(scriptProperties.getProperty(propertyName), 10);
+        if (limit > 0) {
+            limits[field] = limit;
+        }
+    });
+    return limits;
+}
+
+/**
+ * Checks the daily quotas of a user and a space before a request is sent to Gemini.
+ * Request limits allow the request only while the count is below the limit; token limits, which can
+ * only be counted after the response, allow it while the tokens used so far are below the limit.
+ *
+ * @param {string} userName The user's resource name (users/...). Users are not limited if missing.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} model The model the request will use.
+ * @return {{scope: string, field: string, limit: number}|null} The exceeded limit, or null if the request is allowed.
+ */
+function findExceededQuota(userName, spaceName, model) {
+    const fields = model === GEMINI_PRO_MODEL
+        ? ["requests", "tokens", "proRequests", "proTokens"]
+        : ["requests", "tokens"];
+    const resources = [
+        ["user", userName],
+        ["space", spaceName],
+    ];
+    for (const [scope, resourceName] of resources) {
+        if (!resourceName) {
+            continue;
+        }
+        const limits = getQuotaLimits(scope);
+        const limitedFields = fields.filter((field) => field in limits);
+        if (limitedFields.length === 0) {
+            continue;
+        }
+        const counter = loadQuotaCounter(scope, resourceName);
+        const exceededField = limitedFields.find((field) => counter[field] >= limits[field]);
+        if (exceededField) {
+            return { scope, field: exceededField, limit: limits[exceededField] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns a private response for a user who is over a quota, or null if the request may go ahead.
+ * Denials are logged.
+ * @param {object} user The event.user object.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} model The model the request will use.
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object|null} A private Google Chat response object (Card V2), or null.
+ */
+function enforceUsageQuota(user, spaceName, model, threadName = null) {
+    const exceeded = findExceededQuota(user?.name, spaceName, model);
+    if (!exceeded) {
+        return null;
+    }
+    console.warn(
+        `QUOTA: Denied request by ${user?.name} in ${spaceName} (model ${model}): ${exceeded.scope} limit of ${exceeded.limit} ${exceeded.field} per day reached.`
+    );
+    const owner = exceeded.scope === "user" ? "you have" : "this space has";
+    return createCardResponse(
+        `Sorry, ${owner} reached the daily limit of ${exceeded.limit} ${QUOTA_COUNTER_LABELS[exceeded.field]}. ${describeQuotaReset()}`,
+        user,
+        { threadName }
+    );
+}
+
+/**
+ * Describes when the daily quotas reset (midnight in the script's time zone).
+ * @param {Date} [now] The current time. Defaults to now.
+ * @return {string} A sentence such as "The limit resets at midnight (America/New_York), in about 3h 20m."
+ */
+function describeQuotaReset(now = new Date()) {
+    const timeZone = Session.getScriptTimeZone();
+    const [hours, minutes] = Utilities.formatDate(now, timeZone, "HH:mm").split(":").map(Number);
+    const minutesLeft = Math.max(24 * 60 - (hours * 60 + minutes), 1);
+    const remaining =
+        minutesLeft >= 60 ? `${Math.floor(minutesLeft / 60)}h ${minutesLeft % 60}m` : `${minutesLeft}m`;
+    return `The limit resets at midnight (${timeZone}), in about ${remaining}.`;
+}
+
+/**
+ * Adds a completed request to today's counters of the user and the space, using the token counts
+ * Gemini reported in usageMetadata. If the lock can't be acquired in time, the request is not counted
+ * (and logged) rather than risking overwriting a concurrent update. Counters from earlier days are
+ * deleted every few hours (see runPeriodicPropertyCleanup).
+ *
+ * @param {string} userName The user's resource name (users/...). Only the space is counted if missing.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} model The model that answered.
+ * @param {object} [usageMetadata] The usageMetadata of the Gemini response (totalTokenCount is counted).
+ * @param {object} [options] Optional settings.
+ * @param {boolean} [options.countRequest=true] False to add only the tokens, e.g. for the summary call
+ *     made as part of a turn, which must not use up one of the user's daily requests.
+ */
+function recordQuotaUsage(userName, spaceName, model, usageMetadata, options = {}) {
+    const tokens = Number(usageMetadata?.totalTokenCount) || 0;
+    const requests = options.countRequest === false ? 0 : 1;
+    const isPro = model === GEMINI_PRO_MODEL;
+    const today = getQuotaDay();
+    try {
+        const { acquired } = withScriptLock(QUOTA_COUNTER_LOCK_TIMEOUT_MS, () => {
+            const scriptProperties = PropertiesService.getScriptProperties();
+            [
+                ["user", userName],
+                ["space", spaceName],
+            ]
+                .filter(([, resourceName]) => resourceName)
+                .forEach(([scope, resourceName]) => {
+                    const counter = loadQuotaCounter(scope, resourceName);
+                    counter.requests += requests;
+                    counter.tokens += tokens;
+                    if (isPro) {
+                        counter.proRequests += requests;
+                        counter.proTokens += tokens;
+                    }
+                    scriptProperties.setProperty(
+                        getQuotaCounterKey(today, scope, resourceName),
+                        JSON.stringify(counter)
+                    );
+                });
+        });
+        if (!acquired) {
+            console.warn(
+                `QUOTA: Could not acquire lock within ${QUOTA_COUNTER_LOCK_TIMEOUT_MS} ms; request by ${userName} in ${spaceName} (${tokens} tokens, model ${model}) was not counted.`
+            );
+        }
+    } catch (e) {
+        console.error(`QUOTA: Could not record usage for ${userName} in ${spaceName}: ${e}`);
+    }
+
+    const todayPrefix = `${QUOTA_COUNTER_PREFIX}${today}_`;
+    runPeriodicPropertyCleanup(QUOTA_CLEANUP_CACHE_KEY, (key) =>
+        key.startsWith(QUOTA_COUNTER_PREFIX) && !key.startsWith(todayPrefix)
+    );
+}
+
+/**
+ * Deletes the Script Properties a filter selects, at most once per cache period. Listing every property
+ * is slow, so a marker in the script cache skips the cleanup until it expires (after 6 hours, or earlier
+ * if the cache evicts it). Deleting outdated keys needs no lock.
+ *
+ * @param {string} cacheKey The script cache key of this cleanup's marker.
+ * @param {function(string): boolean} isOutdated Returns true for the property keys to delete.
+ */
+function runPeriodicPropertyCleanup(cacheKey, isOutdated) {
+    const cache = CacheService.getScriptCache();
+    if (cache.get(cacheKey)) {
+        return;
+    }
+    cache.put(cacheKey, String(Date.now()), CACHE_STORE_EXPIRATION_SECONDS);
+    try {
+        const scriptProperties = PropertiesService.getScriptProperties();
+        const outdatedKeys = scriptProperties.getKeys().filter(isOutdated);
+        outdatedKeys.forEach((key) => scriptProperties.deleteProperty(key));
+        if (outdatedKeys.length > 0) {
+            console.log(`CLEANUP: Deleted ${outdatedKeys.length} outdated properties (${cacheKey}).`);
+        }
+    } catch (e) {
+        console.error(`CLEANUP: Could not delete outdated properties (${cacheKey}): ${e}`);
+    }
+}
+
+// --- Usage Reporting (/usage) ---
+// Token counts from each response's usageMetadata are logged per turn and added to monthly totals per user
+// and per space in Script Properties: usage_<yyyy-MM>_<user|space>_<resource name> holds
+// { "<dd>|<model>": [requests, promptTokens, candidatesTokens, thoughtsTokens, cachedTokens] }.
+// The current and previous month are kept (a week can start in the previous month).
+const USAGE_PROPERTY_PREFIX = "usage_";
+const USAGE_CLEANUP_CACHE_KEY = "usage_cleanup"; // Script cache marker: records of earlier months were deleted recently
+const USAGE_FIELDS = ["requests", "promptTokens", "candidatesTokens", "thoughtsTokens", "cachedTokens"];
+// Estimated prices in USD per million tokens (thinking tokens are billed as output). Override with MODEL_PRICES.
+const DEFAULT_MODEL_PRICES = {
+    [GEMINI_MODEL]: { input: 0.5, cachedInput: 0.05, output: 3.0 },
+    [GEMINI_PRO_MODEL]: { input: 2.0, cachedInput: 0.2, output: 12.0 },
+};
+
+/**
+ * Returns the Script Property key of a monthly usage record.
+ * @param {string} month The month (yyyy-MM in the script's time zone).
+ * @param {string} scope "user" or "space".
+ * @param {string} resourceName The user (users/...) or space (spaces/...) resource name.
+ * @return {string} The property key.
+ */
+function getUsagePropertyKey(month, scope, resourceName) {
+    return `${USAGE_PROPERTY_PREFIX}${month}_${scope}_${resourceName}`;
+}
+
+/**
+ * Reads a monthly usage record.
+ * @param {string} month The month (yyyy-MM).
+ * @param {string} scope "user" or "space".
+ * @param {string} resourceName The user or space resource name.
+ * @return {object} The record: arrays of USAGE_FIELDS counts keyed by "<dd>|<model>" (empty if none).
+ */
+function loadUsageRecord(month, scope, resourceName) {
+    const storedRecord = PropertiesService.getScriptProperties().getProperty(
+        getUsagePropertyKey(month, scope, resourceName)
+    );
+    if (!storedRecord) {
+        return {};
+    }
+    try {
+        return JSON.parse(storedRecord);
+    } catch (e) {
+        console.error(`USAGE: Ignoring unreadable usage record for ${scope} ${resourceName} (${month}): ${e}`);
+        return {};
+    }
+}
+
+/**
+ * Logs the token counts of one turn and adds them to the monthly records of the user and the space.
+ * If the lock can't be acquired in time, the turn is only logged. Records older than the previous month
+ * are deleted every few hours (see runPeriodicPropertyCleanup).
+ *
+ * @param {string} userName The user's resource name (users/...). Only the space is recorded if missing.
+ * @param {string} spaceName The space's resource name.
+ * @param {string} model The model that answered.
+ * @param {object} [usageMetadata] The usageMetadata of the Gemini response.
+ * @param {object} [options] Optional settings.
+ * @param {boolean} [options.countRequest=true] False to add only the tokens (see recordQuotaUsage).
+ */
+function recordTurnUsage(userName, spaceName, model, usageMetadata, options = {}) {
+    const counts = [
+        options.countRequest === false ? 0 : 1,
+        Number(usageMetadata?.promptTokenCount) || 0,
+        Number(usageMetadata?.candidatesTokenCount) || 0,
+        Number(usageMetadata?.thoughtsTokenCount) || 0,
+        Number(usageMetadata?.cachedContentTokenCount) || 0,
+    ];
+    console.log(
+        `USAGE: user=${userName} space=${spaceName} model=${model} prompt=${counts[1]} candidates=${counts[2]} thoughts=${counts[3]} cached=${counts[4]}`
+    );
+
+    const today = getQuotaDay();
+    const month = today.substring(0, 7);
+    const entryKey = `${today.substring(8)}|${model}`;
+    try {
+        const { acquired } = withScriptLock(QUOTA_COUNTER_LOCK_TIMEOUT_MS, () => {
+            const scriptProperties = PropertiesService.getScriptProperties();
+            [
+                ["user", userName],
+                ["space", spaceName],
+            ]
+                .filter(([, resourceName]) => resourceName)
+                .forEach(([scope, resourceName]) => {
+                    const record = loadUsageRecord(month, scope, resourceName);
+                    const previousCounts = record[entryKey] || USAGE_FIELDS.map(() => 0);
+                    record[entryKey] = counts.map((count, i) => (previousCounts[i] || 0) + count);
+                    scriptProperties.setProperty(
+                        getUsagePropertyKey(month, scope, resourceName),
+                        JSON.stringify(record)
+                    );
+                });
+        });
+        if (!acquired) {
+            console.warn(
+                `USAGE: Could not acquire lock within ${QUOTA_COUNTER_LOCK_TIMEOUT_MS} ms; turn by ${userName} in ${spaceName} was not added to the usage records.`
+            );
+        }
+    } catch (e) {
+        console.error(`USAGE: Could not record usage for ${userName} in ${spaceName}: ${e}`);
+    }
+
+    const keptMonths = getUsageDays(31).map((day) => day.substring(0, 7)); // This month and the previous one
+    runPeriodicPropertyCleanup(
+        USAGE_CLEANUP_CACHE_KEY,
+        (key) =>
+            key.startsWith(USAGE_PROPERTY_PREFIX) &&
+            !keptMonths.includes(key.substring(USAGE_PROPERTY_PREFIX.length, USAGE_PROPERTY_PREFIX.length + 7))
+    );
+}
+
+/**
+ * Returns the last days up to today (yyyy-MM-dd in the script's time zone), newest first.
+ * @param {number} count How many days to return.
+ * @param {Date} [now] The current time. Defaults to now.
+ * @return {Array<string>} The days.
+ */
+function getUsageDays(count, now = new Date()) {
+    const days = [];
+    for (let i = 0; days.length < count && i < count + 2; i++) {
+        const day = getQuotaDay(new Date(now.getTime() - i * 24 * 60 * 60 * 1000));
+        if (!days.includes(day)) {
+            days.push(day); // A daylight saving change can map two offsets to the same day
+        }
+    }
+    return days;
+}
+
+/**
+ * Returns the days of today, this week (from Monday) and this month, in the script's time zone.
+ * @param {Date} [now] The current time. Defaults to now.
+ * @return {{today: Array<string>, week: Array<string>, month: Array<string>}} The days of each period.
+ */
+function getUsagePeriods(now = new Date()) {
+    const today = getQuotaDay(now);
+    const weekday = parseInt(Utilities.formatDate(now, Session.getScriptTimeZone(), "u"), 10); // 1 = Monday
+    const dayOfMonth = parseInt(today.substring(8), 10);
+    const days = getUsageDays(Math.max(weekday, dayOfMonth), now);
+    return {
+        today: [today],
+        week: days.slice(0, weekday),
+        month: days.filter((day) => day.startsWith(today.substring(0, 7))),
+    };
+}
+
+/**
+ * Adds up the usage of a user or space over a set of days, per model.
+ * @param {string} scope "user" or "space".
+ * @param {string} resourceName The user or space resource name.
+ * @param {Array<string>} days The days to include (yyyy-MM-dd).
+ * @return {object} Totals keyed by model, each an object with the USAGE_FIELDS counts.
+ */
+function sumUsage(scope, resourceName, days) {
+    const records = {};
+    const totalsByModel = {};
+    days.forEach((day) => {
+        const month = day.substring(0, 7);
+        records[month] = records[month] || loadUsageRecord(month, scope, resourceName);
+        Object.entries(records[month]).forEach(([entryKey, counts]) => {
+            const [entryDay, model] = entryKey.split("|");
+            if (entryDay !== day.substring(8)) {
+                return;
+            }
+            totalsByModel[model] = totalsByModel[model] || Object.fromEntries(USAGE_FIELDS.map((field) => [field, 0]));
+            USAGE_FIELDS.forEach((field, i) => {
+                totalsByModel[model][field] += counts[i] || 0;
+            });
+        });
+    });
+    return totalsByModel;
+}
+
+/**
+ * Returns the price table: DEFAULT_MODEL_PRICES, with models from the MODEL_PRICES script property
+ * (JSON, e.g. {"gemini-3-pro-preview": {"input": 2, "cachedInput": 0.2, "output": 12}}) replacing the defaults.
+ * @return {object} Prices in USD per million tokens, keyed by model.
+ */
+function getModelPrices() {
+    const configured = PropertiesService.getScriptProperties().getProperty("MODEL_PRICES");
+    if (!configured) {
+        return DEFAULT_MODEL_PRICES;
+    }
+    try {
+        return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(configured) };
+    } catch (e) {
+        console.error(`USAGE: Ignoring invalid MODEL_PRICES property: ${e}`);
+        return DEFAULT_MODEL_PRICES;
+    }
+}
+
+/**
+ * Estimates the cost of usage totals. Cached prompt tokens use the cached input price, and thinking
+ * tokens are billed as output.
+ * @param {object} totalsByModel Totals from sumUsage.
+ * @param {object} prices The price table from getModelPrices.
+ * @return {{cost: number, unpricedModels: Array<string>}} The estimated cost in USD and any models without a price.
+ */
+function estimateUsageCost(totalsByModel, prices) {
+    let cost = 0;
+    const unpricedModels = [];
+    Object.entries(totalsByModel).forEach(([model, totals]) => {
+        const price = prices[model];
+        if (!price) {
+            unpricedModels.push(model);
+            return;
+        }
+        const uncachedPromptTokens = Math.max(totals.promptTokens - totals.cachedTokens, 0);
+        cost +=
+            (uncachedPromptTokens * (price.input || 0) +
+                totals.cachedTokens * (price.cachedInput ?? price.input ?? 0) +
+                (totals.candidatesTokens + totals.thoughtsTokens) * (price.output || 0)) /
+            1000000;
+    });
+    return { cost, unpricedModels };
+}
+
+/**
+ * Formats usage totals as one line, e.g. "12 requests, 3,400 tokens (…), ~$0.05".
+ * @param {object} totalsByModel Totals from sumUsage.
+ * @param {object} prices The price table from getModelPrices.
+ * @return {string} The summary.
+ */
+function formatUsageSummary(totalsByModel, prices) {
+    const sum = Object.fromEntries(USAGE_FIELDS.map((field) => [field, 0]));
+    Object.values(totalsByModel).forEach((totals) => {
+        USAGE_FIELDS.forEach((field) => {
+            sum[field] += totals[field];
+        });
+    });
+    if (sum.requests === 0) {
+        return "no requests";
+    }
+    const formatCount = (count) => count.toLocaleString("en-US");
+    const tokens = sum.promptTokens + sum.candidatesTokens + sum.thoughtsTokens;
+    const { cost, unpricedModels } = estimateUsageCost(totalsByModel, prices);
+    return (
+        `${formatCount(sum.requests)} request${sum.requests === 1 ? "" : "s"}, ${formatCount(tokens)} tokens ` +
+        `(${formatCount(sum.promptTokens)} prompt, ${formatCount(sum.cachedTokens)} of them cached, ` +
+        `${formatCount(sum.candidatesTokens)} answer, ${formatCount(sum.thoughtsTokens)} thinking), ` +
+        `${formatEstimatedCost(cost)}${unpricedModels.length > 0 ? ` (no price for ${unpricedModels.join(", ")})` : ""}`
+    );
+}
+
+/**
+ * Formats an estimated cost in USD, e.g. "~$1.25" or "<$0.01".
+ * @param {number} cost The cost.
+ * @return {string} The formatted cost.
+ */
+function formatEstimatedCost(cost) {
+    return cost > 0 && cost < 0.01 ? "<$0.01" : `~$${cost.toFixed(2)}`;
+}
+
+/**
+ * Handles /usage: replies privately with the caller's usage today, this week and this month.
+ * Admins (see isAdminUser) also get this month's usage and estimated cost for every space.
+ * @param {object} userForResponse The event.user object.
+ * @param {string} [threadName] The thread to reply in.
+ * @return {object} A private Google Chat response object (Card V2).
+ */
+function handleUsageCommand(userForResponse, threadName = null) {
+    const periods = getUsagePeriods();
+    const prices = getModelPrices();
+    const lines = [
+        "Your usage:",
+        ` • Today: ${formatUsageSummary(sumUsage("user", userForResponse?.name, periods.today), prices)}`,
+        ` • This week: ${formatUsageSummary(sumUsage("user", userForResponse?.name, periods.week), prices)}`,
+        ` • This month: ${formatUsageSummary(sumUsage("user", userForResponse?.name, periods.month), prices)}`,
+    ];
+
+    if (isAdminUser(userForResponse)) {
+        const month = periods.today[0].substring(0, 7);
+        const spacePrefix = `${USAGE_PROPERTY_PREFIX}${month}_space_`;
+        const spaceUsage = PropertiesService.getScriptProperties()
+            .getKeys()
+            .filter((key) => key.startsWith(spacePrefix))
+            .map((key) => {
+                const spaceName = key.substring(spacePrefix.length);
+                const totalsByModel = sumUsage("space", spaceName, periods.month);
+                return { spaceName, totalsByModel, cost: estimateUsageCost(totalsByModel, prices).cost };
+            })
+            .sort((a, b) => b.cost - a.cost);
+        lines.push("", `Usage by space this month (${spaceUsage.length}):`);
+        spaceUsage.forEach(({ spaceName, totalsByModel }) => {
+            lines.push(` • ${spaceName}: ${formatUsageSummary(totalsByModel, prices)}`);
+        });
+        const totalCost = spaceUsage.reduce((sum, { cost }) => sum + cost, 0);
+        lines.push(`Estimated total this month: ${formatEstimatedCost(totalCost)}`);
+    }
+
+    lines.push("", "_Costs are estimates based on the configured price per model._");
+    return createCardResponse(lines.join("\n"), userForResponse, { threadName });
+}
+
+// --- Drive Files ---
+// Exports and saved media are created and shared through the Drive advanced service (v3), so the script
+// only needs the drive.file scope: access to the files it created, not to the rest of the owner's Drive.
+// Files are created in the Drive of the account the script runs as, which keeps them after sharing.
+
+/**
+ * Creates a file in the Drive of the account the script runs as.
+ * @param {GoogleAppsScript.Base.Blob} blob The file content, with its name and content type.
+ * @return {{id: string, webViewLink: string}} The new file's ID and link.
+ */
+function createDriveFile(blob) {
+    return Drive.Files.create(
+        { name: blob.getName(), mimeType: blob.getContentType() },
+        blob,
+        { fields: "id,webViewLink" }
+    );
+}
+
+/**
+ * Deletes files created by the script. Failures are logged and skipped, so the caller can carry on.
+ * @param {Array<string>} fileIds The IDs of the files to delete.
+ * @return {number} The number of files deleted.
+ */
+function deleteDriveFiles(fileIds) {
+    let deletedCount = 0;
+    fileIds.forEach((fileId) => {
+        try {
+            Drive.Files.remove(fileId);
+            deletedCount++;
+        } catch (e) {
+            console.warn(`DRIVE_FILES: Could not delete ${fileId}: ${e.message}`);
+        }
+    });
+    return deletedCount;
+}
+
+/**
+ * Shares a file created by the script, without sending a notification email.
+ * @param {string} fileId The file's ID.
+ * @param {object} permission The Drive permission, e.g. {type: "user", role: "reader", emailAddress}.
+ */
+function shareDriveFile(fileId, permission) {
+    Drive.Permissions.create(permission, fileId, { sendNotificationEmail: false });
+}
+
+// --- Conversation Export (/export) ---
+
+/**
+ * Adds the speaker prefix that tells the model who sent a message in a shared conversation.
+ * @param {string} displayName The sender's display name.
+ * @param {string} prompt The user's prompt.
+ * @return {string} The prompt as stored in history and sent to the model.
+ */
+function addSpeakerPrefix(displayName, prompt) {
+    return `Message from ${displayName}. ${SPEAKER_PROMPT_NOTE} ${prompt}`;
+}
+
+/**
+ * Splits the speaker prefix (see addSpeakerPrefix) off a stored user prompt.
+ * @param {string} text The stored prompt.
+ * @return {{speaker: (string|null), text: string}} The sender's display name (null if there is no prefix)
+ *     and the prompt without the prefix.
+ */
+function parseSpeakerPrefix(text) {
+    const prefixStart = "Message from ";
+    const noteIndex = (text || "").indexOf(`. ${SPEAKER_PROMPT_NOTE} `);
+    if (!text?.startsWith(prefixStart) || noteIndex === -1) {
+        return { speaker: null, text: text || "" };
+    }
+    return {
+        speaker: text.substring(prefixStart.length, noteIndex),
+        text: text.substring(noteIndex + SPEAKER_PROMPT_NOTE.length + 3),
     };
+}
+
+/**
+ * Converts stored history into readable export entries, without the internal speaker prefixes.
+ * @param {Array<{role: string, parts: Array<object>}>} history The stored history.
+ * @return {Array<{role: string, speaker: string, text: string, attachments: string[]}>} The entries.
+ */
+function getExportEntries(history) {
+    const botName =
+        PropertiesService.getScriptProperties().getProperty("BOT_DISPLAY_NAME") || "Gemini Bot";
+    return history.map((entry) => {
+        const parts = entry.parts || [];
+        const rawText = parts
+            .filter((part) => !part.attachmentRef)
+            .map(describeHistoryPart)
+            .join("\n");
+        const { speaker, text } =
+            entry.role === "user" ? parseSpeakerPrefix(rawText) : { speaker: botName, text: rawText };
+        return {
+            role: entry.role,
+            speaker: speaker || "User",
+            text,
+            attachments: parts
+                .filter((part) => part.attachmentRef)
+                .map((part) => part.attachmentRef.contentName || "file"),
+        };
+    });
+}
+
+/**
+ * Renders export entries as Markdown.
+ * @param {string} title The document title.
+ * @param {string} summary The rolling summary of older turns (may be empty).
+ * @param {Array<object>} entries The entries from getExportEntries.
+ * @return {string} The Markdown text.
+ */
+function formatConversationMarkdown(title, summary, entries) {
+    const lines = [`# ${title}`, ""];
+    if (summary) {
+        lines.push(`> **Summary of earlier messages:** ${summary.replace(/\n/g, "\n> ")}`, "");
+    }
+    entries.forEach((entry) => {
+        lines.push(`**${entry.speaker}:**`, "", entry.text);
+        entry.attachments.forEach((name) => lines.push(`_Attachment: ${name}_`));
+        lines.push("");
+    });
+    return lines.join("\n");
+}
+
+/**
+ * Renders export entries as JSON.
+ * @param {string} conversationKey The conversation key.
+ * @param {string} summary The rolling summary of older turns (may be empty).
+ * @param {Array<object>} entries The entries from getExportEntries.
+ * @return {string} The JSON text.
+ */
+function formatConversationJson(conversationKey, summary, entries) {
+    return JSON.stringify(
+        {
+            conversation: conversationKey,
+            exportedAt: new Date().toISOString(),
+            summary: summary || null,
+            messages: entries,
+        },
+        null,
+        2
+    );
+}
+
+/**
+ * Creates a Google Doc with the conversation: one heading per message, followed by its text.
+ * @param {string} title The document title.
+ * @param {string} summary The rolling summary of older turns (may be empty).
+ * @param {Array<object>} entries The entries from getExportEntries.
+ * @return {{id: string, webViewLink: string}} The new document's ID and link.
+ */
+function createConversationDoc(title, summary, entries) {
+    const doc = DocumentApp.create(title);
+    const body = doc.getBody();
+    body.appendParagraph(title).setHeading(DocumentApp.ParagraphHeading.TITLE);
+    if (summary) {
+        body.appendParagraph("Summary of earlier messages").setHeading(DocumentApp.ParagraphHeading.HEADING2);
+        body.appendParagraph(summary);
+    }
+    entries.forEach((entry) => {
+        body.appendParagraph(entry.speaker).setHeading(DocumentApp.ParagraphHeading.HEADING3);
+        body.appendParagraph(entry.text);
+        entry.attachments.forEach((name) => body.appendParagraph(`Attachment: ${name}`).setItalic(true));
+    });
+    doc.saveAndClose();
+    return { id: doc.getId(), webViewLink: doc.getUrl() };
+}
+
+/**
+ * Handles /export [markdown|json|doc]: saves the conversation history (without the internal speaker
+ * prefixes) as a file in the Drive of the account the script runs as (not the caller's), shares it read-only
+ * with the caller if that is someone else (without a notification email), and replies privately with the link.
+ *
+ * @param {object} context The command context (see runCommand).
+ * @return {object} A private Google Chat response object (Card V2).
+ */
+function handleExportCommand(context) {
+    const { user, conversationKey, threadName } = context;
+    const format = (context.argumentText || "markdown").toLowerCase().replace(/^md$/, "markdown");
+    if (!EXPORT_FORMATS[format]) {
+        return createCardResponse(
+            `Unknown export format "${context.argumentText}". Use ${Object.keys(EXPORT_FORMATS).map((name) => `\`/export ${name}\``).join(", ")}.`,
+            user,
+            { threadName }
+        );
+    }
+
+    const history = loadConversationHistory(conversationKey);
+    if (history.length === 0) {
+        return createCardResponse("There is no conversation history to export.", user, { threadName });
+    }
+    const summary = loadConversationSummary(conversationKey);
+    const entries = getExportEntries(history);
+    const place =
+        context.spaceType === "DM" ? "direct message" : context.event?.space?.displayName || context.spaceName;
+    const exportedAt = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+    const title = `Conversation export: ${place} (${exportedAt})`;
+
+    try {
+        let file;
+        if (format === "doc") {
+            file = createConversationDoc(title, summary, entries);
+        } else if (format === "json") {
+            const content = formatConversationJson(conversationKey, summary, entries);
+            file = createDriveFile(Utilities.newBlob(content, "application/json", `${title}.json`));
+        } else {
+            const content = formatConversationMarkdown(title, summary, entries);
+            file = createDriveFile(Utilities.newBlob(content, "text/markdown", `${title}.md`));
+        }
+
+        const scriptUserEmail = Session.getEffectiveUser().getEmail();
+        const isShared = Boolean(user?.email) && user.email.toLowerCase() !== (scriptUserEmail || "").toLowerCase();
+        if (isShared) {
+            shareDriveFile(file.id, { type: "user", role: "reader", emailAddress: user.email });
+        }
+        console.log(
+            `EXPORT: Exported ${entries.length} message(s) of ${conversationKey} as ${format} for ${user?.email || user?.name}: ${file.id}`
+        );
+        return createCardResponse(
+            `Exported ${entries.length} message(s) as ${EXPORT_FORMATS[format]}:\n${file.webViewLink}` +
+                (isShared
+                    ? "\n_The file is in the Drive of the account the bot runs as, shared with you read-only. Make a copy to keep or edit it._"
+                    : ""),
+            user,
+            { threadName }
+        );
+    } catch (e) {
+        console.error(`EXPORT: Could not export ${conversationKey} as ${format}: ${e}`);
+        return createCardResponse(`Sorry, I couldn't create the export (${e.message || e}).`, user, { threadName });
+    }
+}
+
+// --- Local Function Tools ---
+// Apps Script functions the model can call when the FUNCTION_TOOLS_KEY tool is enabled. Each entry has the
+// functionDeclaration sent to Gemini (an OpenAPI-style schema of its arguments), a handler that receives the
+// arguments and returns a JSON-serializable result, and optionally isAvailable() (unavailable tools are not
+// declared). Handlers throw on bad input; the error message is sent back to the model.
+const UNIT_CONVERSIONS = {
+    length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254, nmi: 1852 },
+    mass: { kg: 1, g: 0.001, mg: 0.000001, t: 1000, lb: 0.45359237, oz: 0.028349523125 },
+    volume: {
+        l: 1,
+        ml: 0.001,
+        m3: 1000,
+        gal: 3.785411784,
+        qt: 0.946352946,
+        pt: 0.473176473,
+        cup: 0.2365882365,
+        floz: 0.0295735295625,
+    },
+    time: { s: 1, min: 60, h: 3600, day: 86400, week: 604800 },
+    speed: { "m/s": 1, "km/h": 1 / 3.6, mph: 0.44704, kn: 1852 / 3600 },
+    data: { B: 1, KB: 1000, MB: 1e6, GB: 1e9, TB: 1e12, KiB: 1024, MiB: 1048576, GiB: 1073741824 },
+    area: { m2: 1, km2: 1e6, ha: 10000, acre: 4046.8564224, ft2: 0.09290304 },
+};
+const TEMPERATURE_UNITS = ["C", "F", "K"];
+const LOOKUP_SHEET_MAX_ROWS = 10; // Most matching rows returned by lookup_sheet
 
-    const options = {
-        method: "post",
-        contentType: "application/json",
-        headers: {
-            Authorization: `Bearer ${ScriptApp.getOAuthToken()}`
+const FUNCTION_TOOL_REGISTRY = {
+    date_math: {
+        declaration: {
+            description:
+                "Date arithmetic on calendar dates. 'add' adds an amount of days, weeks, months or years to a date " +
+                "(negative to subtract), 'difference' counts the days from date to other_date, and 'weekday' names " +
+                "the day of the week. Dates are YYYY-MM-DD or 'today'.",
+            parameters: {
+                type: "object",
+                properties: {
+                    operation: { type: "string", enum: ["add", "difference", "weekday"] },
+                    date: { type: "string", description: "YYYY-MM-DD or 'today'." },
+                    amount: { type: "integer", description: "For 'add': how many units to add." },
+                    unit: { type: "string", enum: ["days", "weeks", "months", "years"], description: "For 'add'." },
+                    other_date: { type: "string", description: "For 'difference': YYYY-MM-DD or 'today'." },
+                },
+                required: ["operation", "date"],
+            },
         },
-        payload: JSON.stringify(payload),
-        muteHttpExceptions: true,
-    };
+        handler: runDateMath,
+    },
+    convert_units: {
+        declaration: {
+            description:
+                "Converts a value between units of the same kind. Units: " +
+                Object.entries(UNIT_CONVERSIONS)
+                    .map(([kind, units]) => `${kind} (${Object.keys(units).join(", ")})`)
+                    .join("; ") +
+                `; temperature (${TEMPERATURE_UNITS.join(", ")}).`,
+            parameters: {
+                type: "object",
+                properties: {
+                    value: { type: "number" },
+                    from: { type: "string", description: "Unit to convert from." },
+                    to: { type: "string", description: "Unit to convert to." },
+                },
+                required: ["value", "from", "to"],
+            },
+        },
+        handler: convertUnits,
+    },
+    lookup_sheet: {
+        declaration: {
+            description:
+                "Looks up rows in the team's reference spreadsheet. Returns the rows (as objects keyed by the " +
+                "header row) in which the query appears, in the given column or in any column.",
+            parameters: {
+                type: "object",
+                properties: {
+                    query: { type: "string", description: "Text to look for (case-insensitive)." },
+                    column: { type: "string", description: "Optional header of the column to search." },
+                },
+                required: ["query"],
+            },
+        },
+        handler: lookupSheetRows,
+        isAvailable: () => Boolean(PropertiesService.getScriptProperties().getProperty("LOOKUP_SHEET_ID")),
+    },
+};
 
-    console.log(
-        "Gemini API Payload Preview (first/last part):",
-        JSON.stringify(payload.contents[0]),
-        "...",
-        JSON.stringify(payload.contents[payload.contents.length - 1])
-    );
+/**
+ * Builds the request's tools field from tool keys: built-in tools become {<name>: {}} and
+ * FUNCTION_TOOLS_KEY becomes the functionDeclarations of the available local functions. Built-in tools
+ * aren't sent alongside function declarations (the API doesn't support combining them), so enabling
+ * local functions turns them off for the request.
+ * @param {Array<string>} tools Keys of AVAILABLE_TOOLS.
+ * @return {Array<object>} The tools to send (empty if none).
+ */
+function buildToolsPayload(tools) {
+    const functionDeclarations = tools.includes(FUNCTION_TOOLS_KEY) ? getFunctionDeclarations() : [];
+    if (functionDeclarations.length > 0) {
+        return [{ functionDeclarations }];
+    }
+    return tools
+        .filter((tool) => tool !== FUNCTION_TOOLS_KEY)
+        .map((tool) => ({ [tool]: {} }));
+}
+
+/**
+ * Gets the functionDeclarations of the local functions that are currently available.
+ * @return {Array<object>} The declarations, named after their FUNCTION_TOOL_REGISTRY keys.
+ */
+function getFunctionDeclarations() {
+    return Object.entries(FUNCTION_TOOL_REGISTRY)
+        .filter(([, tool]) => !tool.isAvailable || tool.isAvailable())
+        .map(([name, tool]) => ({ name, ...tool.declaration }));
+}
 
+/**
+ * Runs a function call requested by the model and logs it. Unknown functions and handler errors are
+ * reported back to the model as {error: message}.
+ * @param {{id: (string|undefined), name: string, args: object}} functionCall The functionCall part.
+ * @return {{id: (string|undefined), name: string, args: object, response: object}} The call and its result.
+ */
+function executeFunctionCall(functionCall) {
+    const { id, name } = functionCall;
+    const args = functionCall.args || {};
+    const tool = FUNCTION_TOOL_REGISTRY[name];
+    let response;
     try {
-        const response = UrlFetchApp.fetch(geminiApiEndpoint, options);
-        const responseCode = response.getResponseCode();
-        const responseBody = response.getContentText();
+        if (!tool || (tool.isAvailable && !tool.isAvailable())) {
+            throw new Error(`Unknown function "${name}".`);
+        }
+        response = { result: tool.handler(args) };
+    } catch (e) {
+        response = { error: e.message || String(e) };
+    }
+    console.log(`FUNCTION_CALL: ${name}(${JSON.stringify(args)}) -> ${JSON.stringify(response).substring(0, 1000)}`);
+    return { id, name, args, response };
+}
 
-        if (responseCode === 200) {
-            const data = JSON.parse(responseBody);
+/**
+ * Adds up the token counts of several responses (each round of function calling is billed separately).
+ * @param {object} [total] The counts so far.
+ * @param {object} [usageMetadata] The usageMetadata of the latest response.
+ * @return {object|undefined} The combined counts.
+ */
+function addUsageMetadata(total, usageMetadata) {
+    if (!total || !usageMetadata) {
+        return total || usageMetadata;
+    }
+    const combined = { ...total };
+    Object.entries(usageMetadata).forEach(([field, value]) => {
+        if (typeof value === "number") {
+            combined[field] = (Number(combined[field]) || 0) + value;
+        }
+    });
+    return combined;
+}
 
-            if (data.promptFeedback && data.promptFeedback.blockReason) {
-                console.error("Gemini API blocked the prompt.", data.promptFeedback.blockReason);
-                return `Sorry, your request was blocked by safety filters (Reason: ${data.promptFeedback.blockReason}).`;
-            }
+/**
+ * Converts a function call into the compact form kept in the stored history, with the result truncated.
+ * @param {{name: string, args: object, response: object}} toolCall A "functionCall" response part.
+ * @return {{name: string, args: object, result: string}} The toolCallRef to store.
+ */
+function compactToolCall({ name, args, response }) {
+    return { name, args, result: truncateContextText(JSON.stringify(response), TOOL_RESULT_HISTORY_MAX_CHARS) };
+}
 
-            if (!data.candidates || data.candidates.length === 0) {
-                // Handle empty candidates
-                if (data.promptFeedback && data.promptFeedback.blockReason) {
-                    return `Sorry, your request was blocked (Reason: ${data.promptFeedback.blockReason}).`;
-                }
-                return "Sorry, the AI returned an unexpected response structure (no candidates).";
-            }
+/**
+ * Describes a stored toolCallRef for the model in later turns.
+ * @param {{name: string, args: object, result: string}} toolCallRef The stored function call.
+ * @return {string} e.g. '[Function call: convert_units({"value":1,...}) returned {"result":...}]'.
+ */
+function describeToolCallRef(toolCallRef) {
+    return `[Function call: ${toolCallRef.name}(${JSON.stringify(toolCallRef.args || {})}) returned ${toolCallRef.result}]`;
+}
 
-            const candidate = data.candidates[0];
+/**
+ * Parses a date_math date: YYYY-MM-DD or "today" (in the script's time zone).
+ * @param {string} value The date.
+ * @param {string} argumentName The argument name, for errors.
+ * @return {Date} The date at midnight UTC.
+ */
+function parseToolDate(value, argumentName) {
+    const text =
+        String(value || "").toLowerCase() === "today"
+            ? Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd")
+            : String(value || "");
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+    if (!date || date.toISOString().substring(0, 10) !== text) {
+        throw new Error(`${argumentName} must be a date as YYYY-MM-DD or "today".`);
+    }
+    return date;
+}
 
-            // Check finish reason
-            if (candidate && candidate.finishReason && candidate.finishReason !== "STOP" && candidate.finishReason !== "MAX_TOKENS") {
-                return `Sorry, the response generation was stopped (Reason: ${candidate.finishReason}).`;
-            }
+/**
+ * Handler of the date_math function (see FUNCTION_TOOL_REGISTRY). Adding months or years keeps the day
+ * of the month where possible and otherwise uses the month's last day (Jan 31 + 1 month = Feb 28/29).
+ * @param {object} args The function arguments.
+ * @return {object} {date, weekday} for 'add' and 'weekday', {days} for 'difference'.
+ */
+function runDateMath(args) {
+    const date = parseToolDate(args.date, "date");
+    const weekdayOf = (day) =>
+        ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"][day.getUTCDay()];
+    const formatResult = (day) => ({ date: day.toISOString().substring(0, 10), weekday: weekdayOf(day) });
 
-            // Extract text logic
-            let responseText = null;
-            const parts = candidate?.content?.parts;
-
-            if (Array.isArray(parts)) {
-                // Find first part that isn't a "thought" (CoT)
-                const responsePart = parts.find((part) => !part.thought);
-                if (responsePart && responsePart.text) {
-                    responseText = responsePart.text.trim();
-                } else {
-                    // Fallback logic for thought-only responses
-                    if (parts.length > 0 && parts.every((part) => part.thought)) {
-                        console.warn("Only thought parts found.");
-                    }
-                }
-            }
+    if (args.operation === "weekday") {
+        return formatResult(date);
+    }
+    if (args.operation === "difference") {
+        const otherDate = parseToolDate(args.other_date, "other_date");
+        return { days: Math.round((otherDate - date) / 86400000) };
+    }
+    if (args.operation !== "add") {
+        throw new Error('operation must be "add", "difference" or "weekday".');
+    }
 
-            if (responseText !== null) {
-                return responseText;
-            } else {
-                return "Sorry, the AI returned empty or invalid response content.";
-            }
+    const amount = Number(args.amount);
+    if (!Number.isInteger(amount)) {
+        throw new Error("amount must be a whole number.");
+    }
+    const unit = args.unit || "days";
+    if (unit === "days" || unit === "weeks") {
+        return formatResult(new Date(date.getTime() + amount * (unit === "weeks" ? 7 : 1) * 86400000));
+    }
+    if (unit !== "months" && unit !== "years") {
+        throw new Error('unit must be "days", "weeks", "months" or "years".');
+    }
+    const totalMonths = date.getUTCFullYear() * 12 + date.getUTCMonth() + amount * (unit === "years" ? 12 : 1);
+    const year = Math.floor(totalMonths / 12);
+    const month = totalMonths - year * 12;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return formatResult(new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay))));
+}
 
-        } else {
-            console.error(`Gemini API Error Response (${responseCode}): ${responseBody}`);
-            if (responseCode === 403) {
-                console.error("Status 403 detected. This usually means insufficient scopes in appsscript.json. Ensure 'https://www.googleapis.com/auth/generative-language' is present.");
-            }
-            let errorMessage = `Sorry, there was an error contacting the AI (Status: ${responseCode}).`;
-            try {
-                const errorData = JSON.parse(responseBody);
-                if (errorData?.error?.message) {
-                    errorMessage += ` Details: ${errorData.error.message}`;
-                }
-            } catch (e) {
-                errorMessage += ` Raw response: ${responseBody.substring(0, 200)}...`;
-            }
-            return errorMessage;
+/**
+ * Handler of the convert_units function (see FUNCTION_TOOL_REGISTRY). Unit names are matched exactly
+ * first, then case-insensitively.
+ * @param {object} args The function arguments (value, from, to).
+ * @return {{value: number, unit: string}} The converted value.
+ */
+function convertUnits(args) {
+    const value = Number(args.value);
+    if (!Number.isFinite(value)) {
+        throw new Error("value must be a number.");
+    }
+    const findUnit = (units, name) =>
+        name in units ? name : Object.keys(units).find((unit) => unit.toLowerCase() === String(name).toLowerCase());
+    const findTemperatureUnit = (name) => TEMPERATURE_UNITS.find((unit) => unit === String(name).toUpperCase());
+
+    const from = findTemperatureUnit(args.from);
+    const to = findTemperatureUnit(args.to);
+    if (from && to) {
+        const kelvin = from === "C" ? value + 273.15 : from === "F" ? (value - 32) * (5 / 9) + 273.15 : value;
+        const converted = to === "C" ? kelvin - 273.15 : to === "F" ? (kelvin - 273.15) * (9 / 5) + 32 : kelvin;
+        return { value: Number(converted.toPrecision(12)), unit: to };
+    }
+
+    for (const units of Object.values(UNIT_CONVERSIONS)) {
+        const fromUnit = findUnit(units, args.from);
+        const toUnit = findUnit(units, args.to);
+        if (fromUnit && toUnit) {
+            return { value: Number(((value * units[fromUnit]) / units[toUnit]).toPrecision(12)), unit: toUnit };
         }
-    } catch (e) {
-        console.error(`Error during UrlFetchApp or response processing: ${e}`, e.stack);
-        return `Sorry, an unexpected error occurred while trying to reach the AI (${e.message}).`;
     }
+    throw new Error(`Can't convert from "${args.from}" to "${args.to}". Both units must be of the same kind.`);
 }
 
 /**
- * Filters and prepares conversation history for the Gemini API.
- * Merges consecutive messages from the same role.
- * Determines if the history starts with a 'model' role, requiring a placeholder.
- *
- * @param {Array<{role: string, parts: Array<{text: string}>}>} history The raw conversation history array.
- * @return {{filteredHistory: Array, needsLeadingUserRole: boolean}} Processed history and flag.
+ * Handler of the lookup_sheet function (see FUNCTION_TOOL_REGISTRY). Searches the lookup sheet (see
+ * getLookupSheet); the first row holds the column headers.
+ * @param {object} args The function arguments (query, optional column).
+ * @param {object} [sheet] The sheet to search (anything with getDataRange). Defaults to the lookup sheet.
+ * @return {{matches: Array<object>, totalMatches: number}} Up to LOOKUP_SHEET_MAX_ROWS matching rows.
  */
-function filterAndPrepareHistory(history) {
-    const filteredHistory = [];
-    let needsLeadingUserRole = true; // Default assumption
+function lookupSheetRows(args, sheet = null) {
+    const query = String(args.query || "").trim().toLowerCase();
+    if (!query) {
+        throw new Error("query must not be empty.");
+    }
+    sheet = sheet || getLookupSheet();
 
-    if (!history || history.length === 0) {
-        console.warn(
-            "filterAndPrepareHistory called with empty or invalid history."
-        );
-        return { filteredHistory: [], needsLeadingUserRole: true };
+    const [headers = [], ...rows] = sheet.getDataRange().getDisplayValues();
+    let columnIndex = -1;
+    if (args.column) {
+        columnIndex = headers.findIndex((header) => header.toLowerCase() === String(args.column).toLowerCase());
+        if (columnIndex === -1) {
+            throw new Error(`Unknown column "${args.column}". Columns: ${headers.join(", ")}.`);
+        }
     }
+    const matches = rows.filter((row) =>
+        (columnIndex === -1 ? row : [row[columnIndex]]).some((cell) => cell.toLowerCase().includes(query))
+    );
+    return {
+        matches: matches
+            .slice(0, LOOKUP_SHEET_MAX_ROWS)
+            .map((row) => Object.fromEntries(headers.map((header, index) => [header, row[index]]))),
+        totalMatches: matches.length,
+    };
+}
 
-    // Always check the role of the *first* valid entry
-    if (history[0] && history[0].role) {
-        needsLeadingUserRole = history[0].role !== "user";
-        filteredHistory.push({
-            ...history[0],
-            parts: [...(history[0].parts || [])],
-        }); // Deep copy first element
-    } else {
-        console.warn("First history entry is invalid.");
-        // needsLeadingUserRole remains true, filteredHistory remains empty initially
+/**
+ * Opens the spreadsheet configured in LOOKUP_SHEET_ID and returns its sheet LOOKUP_SHEET_NAME, or its first sheet.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The sheet lookup_sheet searches.
+ */
+function getLookupSheet() {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const spreadsheet = SpreadsheetApp.openById(scriptProperties.getProperty("LOOKUP_SHEET_ID"));
+    const sheetName = scriptProperties.getProperty("LOOKUP_SHEET_NAME");
+    const sheet = sheetName ? spreadsheet.getSheetByName(sheetName) : spreadsheet.getSheets()[0];
+    if (!sheet) {
+        throw new Error(`The lookup sheet "${sheetName}" doesn't exist.`);
     }
+    return sheet;
+}
 
-    for (let i = 1; i < history.length; i++) {
-        // Skip invalid entries
-        if (!history[i] || !history[i].role || !history[i].parts) {
-            console.warn(`Skipping invalid history entry at index ${i}:`, history[i]);
-            continue;
+// --- Response Parts ---
+// A model answer can be split across several parts: text (sometimes one sentence over two parts), inline images,
+// code execution and function calls. callGeminiApiWithHistory gathers every non-thought part of every round
+// into response parts, handleConversationTurn stores them in the history and createCardResponse renders them
+// in order.
+
+/**
+ * Converts the content parts of one round into response parts, in order and without thoughts.
+ * @param {Array<object>} parts The candidate's content parts.
+ * @param {Array<object>} [functionResults] The results of the round's function calls, in call order
+ *     (see executeFunctionCall).
+ * @return {Array<object>} Response parts of type "text" ({text}), "code" ({language, code}),
+ *     "codeResult" ({outcome, output}), "media" ({mimeType, data} or {mimeType, url}) and
+ *     "functionCall" ({id, name, args, response}).
+ */
+function extractResponseParts(parts, functionResults = []) {
+    let functionCallIndex = 0;
+    return (Array.isArray(parts) ? parts : [])
+        .filter((part) => !part.thought)
+        .map((part) => {
+            if (typeof part.text === "string") {
+                return { type: "text", text: part.text };
+            }
+            if (part.executableCode) {
+                return {
+                    type: "code",
+                    language: part.executableCode.language || "",
+                    code: part.executableCode.code || "",
+                };
+            }
+            if (part.codeExecutionResult) {
+                return {
+                    type: "codeResult",
+                    outcome: part.codeExecutionResult.outcome || "OUTCOME_UNSPECIFIED",
+                    output: (part.codeExecutionResult.output || "").trimEnd(),
+                };
+            }
+            if (part.inlineData?.data) {
+                return {
+                    type: "media",
+                    mimeType: part.inlineData.mimeType || "application/octet-stream",
+                    data: part.inlineData.data,
+                };
+            }
+            if (part.fileData?.fileUri) {
+                return {
+                    type: "media",
+                    mimeType: part.fileData.mimeType || "application/octet-stream",
+                    url: part.fileData.fileUri,
+                };
+            }
+            if (part.functionCall) {
+                const result = functionResults[functionCallIndex++];
+                return {
+                    type: "functionCall",
+                    id: part.functionCall.id,
+                    name: part.functionCall.name,
+                    args: part.functionCall.args || {},
+                    response: result ? result.response : null,
+                };
+            }
+            console.warn(`RESPONSE_PARTS: Ignoring unsupported part with keys ${Object.keys(part).join(", ")}.`);
+            return null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Joins neighbouring text parts (Gemini may split one paragraph, or even one word, across parts).
+ * @param {Array<object>} responseParts The response parts.
+ * @return {Array<object>} The response parts with each run of text parts joined into one.
+ */
+function mergeAdjacentTextParts(responseParts) {
+    return responseParts.reduce((merged, part) => {
+        const previous = merged[merged.length - 1];
+        if (part.type === "text" && previous?.type === "text") {
+            merged[merged.length - 1] = { type: "text", text: previous.text + part.text };
+        } else {
+            merged.push(part);
         }
+        return merged;
+    }, []);
+}
 
-        const lastEntry = filteredHistory[filteredHistory.length - 1];
+/**
+ * Joins neighbouring text parts, trims them and drops the empty ones.
+ * @param {Array<object>} responseParts The response parts of every round, in order.
+ * @return {Array<object>} The assembled response parts.
+ */
+function assembleResponseParts(responseParts) {
+    return mergeAdjacentTextParts(responseParts)
+        .map((part) => (part.type === "text" ? { type: "text", text: part.text.trim() } : part))
+        .filter((part) => part.type !== "text" || part.text);
+}
 
-        // If roles differ, push a new entry (deep copy)
-        if (!lastEntry || history[i].role !== lastEntry.role) {
-            filteredHistory.push({ ...history[i], parts: [...history[i].parts] });
+/**
+ * Joins the text of the response parts (the answer without code, media or function calls).
+ * @param {Array<object>} responseParts The assembled response parts.
+ * @return {string} The text parts separated by blank lines.
+ */
+function getResponsePartsText(responseParts) {
+    return responseParts
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("\n\n");
+}
+
+/**
+ * Saves inline media (e.g., generated images) to Drive so the card can link to it and the history can keep
+ * a reference instead of the raw bytes. Files are shared with the requesting user only (read access), and
+ * stay private to the script's account when the user's email is unknown. They are deleted with the history
+ * (see clearAllHistoryForSpace).
+ * @param {Array<object>} responseParts The assembled response parts.
+ * @param {string} [userEmail] The requesting user's email.
+ * @return {Array<object>} The response parts, with each inline media part replaced by
+ *     {type: "media", mimeType, size, name, fileId, url}, or {type: "media", mimeType, size, error} if it
+ *     could not be saved.
+ */
+function saveResponseMedia(responseParts, userEmail = null) {
+    const botName =
+        PropertiesService.getScriptProperties().getProperty("BOT_DISPLAY_NAME") || "Gemini Bot";
+    return responseParts.map((part) => {
+        if (part.type !== "media" || !part.data) {
+            return part;
         }
-        // If roles are the same, merge parts
-        else {
-            // console.log( // Less verbose logging
-            //   `Merging adjacent history entries with role: ${history[i].role}`
-            // );
-            const currentText = history[i].parts[0]?.text; // Assuming single text part for simplicity
-            if (currentText) {
-                // Ensure the last entry has a valid parts array and text element
-                if (!lastEntry.parts) lastEntry.parts = [{ text: "" }];
-                if (!lastEntry.parts[0]) lastEntry.parts[0] = { text: "" };
-                if (
-                    lastEntry.parts[0].text === undefined ||
-                    lastEntry.parts[0].text === null
-                ) {
-                    lastEntry.parts[0].text = "";
+        const bytes = Utilities.base64Decode(part.data);
+        const extension = (part.mimeType.split("/")[1] || "bin").split(/[+;]/)[0];
+        const name = `${botName} ${part.mimeType.startsWith("image/") ? "image" : "file"} ${new Date().toISOString()}.${extension}`;
+        try {
+            const file = createDriveFile(Utilities.newBlob(bytes, part.mimeType, name));
+            const scriptUserEmail = Session.getEffectiveUser().getEmail();
+            if (userEmail && userEmail.toLowerCase() !== (scriptUserEmail || "").toLowerCase()) {
+                try {
+                    shareDriveFile(file.id, { type: "user", role: "reader", emailAddress: userEmail });
+                } catch (e) {
+                    console.warn(`RESPONSE_PARTS: Could not share ${name} with ${userEmail}: ${e.message}`);
                 }
-
-                // Append with a newline separator
-                lastEntry.parts[0].text += "\n" + currentText;
             }
+            console.log(`RESPONSE_PARTS: Saved ${part.mimeType} (${bytes.length} bytes) to Drive as ${file.id}.`);
+            return { type: "media", mimeType: part.mimeType, size: bytes.length, name, fileId: file.id, url: file.webViewLink };
+        } catch (e) {
+            console.error(`RESPONSE_PARTS: Failed to save ${part.mimeType} to Drive: ${e.message}`);
+            return { type: "media", mimeType: part.mimeType, size: bytes.length, error: e.message };
         }
-    }
+    });
+}
 
-    // Re-evaluate needsLeadingUserRole based on the *final filtered* history
-    if (filteredHistory.length > 0) {
-        needsLeadingUserRole = filteredHistory[0].role !== "user";
-    } else {
-        // If filtering resulted in an empty history (e.g., all entries were invalid or merged into nothing)
-        needsLeadingUserRole = true;
-    }
+/**
+ * Converts response parts into the parts stored in the history. Media is stored as a mediaRef (never the raw
+ * bytes), function calls as a compact toolCallRef and long code output is shortened.
+ * @param {Array<object>} responseParts The response parts, after saveResponseMedia.
+ * @return {Array<object>} The parts to store, in order.
+ */
+function toHistoryParts(responseParts) {
+    return responseParts.map((part) => {
+        switch (part.type) {
+            case "code":
+                return { executableCode: { language: part.language, code: part.code } };
+            case "codeResult":
+                return {
+                    codeExecutionResult: {
+                        outcome: part.outcome,
+                        output: truncateContextText(part.output, CODE_SECTION_MAX_CHARS),
+                    },
+                };
+            case "media":
+                return {
+                    mediaRef: {
+                        mimeType: part.mimeType,
+                        ...(part.name ? { name: part.name } : {}),
+                        ...(part.fileId ? { fileId: part.fileId } : {}),
+                        ...(part.url ? { url: part.url } : {}),
+                    },
+                };
+            case "functionCall":
+                return { toolCallRef: compactToolCall(part) };
+            default:
+                return { text: part.text };
+        }
+    });
+}
 
-    console.log(
-        `filterAndPrepareHistory: Needs leading user role? ${needsLeadingUserRole}. Filtered length: ${filteredHistory.length}`
+/**
+ * Lists the Drive files of the media saved in a history (see toHistoryParts).
+ * @param {Array<object>} history The stored history.
+ * @return {Array<string>} The file IDs, without duplicates.
+ */
+function getHistoryMediaFileIds(history) {
+    const fileIds = history.flatMap((entry) =>
+        (entry.parts || []).map((part) => part.mediaRef?.fileId).filter(Boolean)
     );
-    return { filteredHistory, needsLeadingUserRole };
+    return [...new Set(fileIds)];
 }
 
 /**
- * Loads the conversation history for a specific conversation key from Script Properties.
- * Retrieves the stored data using `${conversationKey}_history`, expects JSON, and parses it.
- * Handles errors by logging and returning an empty array.
- *
- * @param {string} conversationKey The unique identifier for the conversation (space name).
- * @return {Array<{role: string, parts: Array<{text: string}>}>} The conversation history array. Returns an empty array ([]) if not found, invalid JSON, or other errors occur.
+ * Joins the text parts of a stored history entry.
+ * @param {{role: string, parts: Array<object>}} entry The history entry.
+ * @return {string} The text parts separated by blank lines.
  */
-function loadConversationHistory(conversationKey) {
-    const propertyKey = getHistoryPropertyKey(conversationKey);
-    if (!propertyKey) {
-        console.error(
-            "LOAD_HISTORY: Could not generate property key for:",
-            conversationKey
-        );
-        return [];
+function getHistoryEntryText(entry) {
+    return (entry?.parts || [])
+        .filter((part) => typeof part.text === "string")
+        .map((part) => part.text)
+        .join("\n\n");
+}
+
+/**
+ * Describes a stored history part as text, for the model in later turns, summaries and exports.
+ * @param {object} part The stored part.
+ * @return {string} The text, or a bracketed description for the other part types.
+ */
+function describeHistoryPart(part) {
+    if (typeof part.text === "string") {
+        return part.text;
+    }
+    if (part.attachmentRef) {
+        return describeAttachmentRef(part.attachmentRef);
+    }
+    if (part.toolCallRef) {
+        return describeToolCallRef(part.toolCallRef);
+    }
+    if (part.executableCode) {
+        return `[Code run (${part.executableCode.language || "unknown language"}):\n${part.executableCode.code}]`;
+    }
+    if (part.codeExecutionResult) {
+        return `[Code output (${part.codeExecutionResult.outcome}):\n${part.codeExecutionResult.output}]`;
     }
+    if (part.mediaRef) {
+        return `[Generated ${part.mediaRef.mimeType}${part.mediaRef.url ? `: ${part.mediaRef.url}` : " (not saved)"}]`;
+    }
+    return "[non-text content]";
+}
 
-    const scriptProperties = PropertiesService.getScriptProperties();
-    const jsonHistory = scriptProperties.getProperty(propertyKey);
+/**
+ * Formats text as a monospace block for a card (Markdown code fence), shortened to CODE_SECTION_MAX_CHARS.
+ * Fences inside the text are broken up so they can't end the block early.
+ * @param {string} text The code or output.
+ * @return {string} The Markdown code block.
+ */
+function formatCodeBlock(text) {
+    const shortened = truncateContextText(text, CODE_SECTION_MAX_CHARS).replace(/```/g, "` ` `");
+    return `\`\`\`\n${shortened}\n\`\`\``;
+}
 
-    if (jsonHistory) {
-        try {
-            const history = JSON.parse(jsonHistory);
-            // Basic validation: check if it's an array
-            if (Array.isArray(history)) {
-                console.log(
-                    `LOAD_HISTORY: Successfully loaded history for property [${propertyKey}]. Length: ${history.length}`
-                );
-                return history;
-            } else {
-                console.error(
-                    `LOAD_HISTORY: Parsed data for property [${propertyKey}] is not an array. Type: ${typeof history}. Deleting corrupt property.`
-                );
-                scriptProperties.deleteProperty(propertyKey); // Clean up invalid data
-                return [];
-            }
-        } catch (e) {
-            console.error(
-                `LOAD_HISTORY: Error parsing stored JSON for property [${propertyKey}]: ${e}. Deleting corrupt property.`
-            );
-            try {
-                scriptProperties.deleteProperty(propertyKey);
-                console.log(
-                    `LOAD_HISTORY: Deleted potentially corrupt script property [${propertyKey}].`
-                );
-            } catch (deleteError) {
-                console.error(
-                    `LOAD_HISTORY: Failed to delete corrupt script property [${propertyKey}]: ${deleteError}`
-                );
-            }
-            return [];
+/**
+ * Renders response parts as card sections, in order: text, generated code in a monospace block, the
+ * execution outcome with its output, a link to each saved image or file, and a collapsed section per
+ * function call.
+ * @param {Array<object>} responseParts The response parts, after saveResponseMedia.
+ * @return {Array<object>} The card sections.
+ */
+function createResponsePartSections(responseParts) {
+    const outcomeLabels = {
+        OUTCOME_OK: "Output",
+        OUTCOME_FAILED: "Output (the code failed)",
+        OUTCOME_DEADLINE_EXCEEDED: "Output (the code timed out)",
+    };
+    return responseParts.map((part) => {
+        if (part.type === "code") {
+            return {
+                header: `Code${part.language ? ` (${part.language.toLowerCase()})` : ""}`,
+                widgets: [{ textParagraph: { text: formatCodeBlock(part.code), textSyntax: "MARKDOWN" } }],
+            };
         }
-    } else {
-        console.log(
-            `LOAD_HISTORY: No history property found for key [${propertyKey}]. Starting fresh.`
-        );
-        return []; // No history exists for this key yet
-    }
+        if (part.type === "codeResult") {
+            return {
+                header: outcomeLabels[part.outcome] || `Output (${part.outcome})`,
+                widgets: [
+                    {
+                        textParagraph: {
+                            text: part.output ? formatCodeBlock(part.output) : "_(no output)_",
+                            textSyntax: "MARKDOWN",
+                        },
+                    },
+                ],
+            };
+        }
+        if (part.type === "media") {
+            const label = part.mimeType.startsWith("image/") ? "Image" : "File";
+            return {
+                header: label,
+                widgets: [
+                    part.url
+                        ? {
+                            decoratedText: {
+                                text: part.name || label,
+                                bottomLabel: `${part.mimeType}${part.size ? `, ${formatBytes(part.size)}` : ""}`,
+                                wrapText: true,
+                                button: { text: "Open", onClick: { openLink: { url: part.url } } },
+                            },
+                        }
+                        : {
+                            textParagraph: {
+                                text: `_The ${label.toLowerCase()} (${part.mimeType}) could not be saved._`,
+                                textSyntax: "MARKDOWN",
+                            },
+                        },
+                ],
+            };
+        }
+        if (part.type === "functionCall") {
+            const { result } = compactToolCall(part);
+            return {
+                header: `Function call: ${part.name}`,
+                collapsible: true,
+                uncollapsibleWidgetsCount: 0,
+                widgets: [
+                    {
+                        textParagraph: {
+                            text:
+                                `Arguments:\n${formatCodeBlock(JSON.stringify(part.args || {}, null, 2))}\n` +
+                                `Result:\n${formatCodeBlock(result)}`,
+                            textSyntax: "MARKDOWN",
+                        },
+                    },
+                ],
+            };
+        }
+        return { widgets: [{ textParagraph: { text: part.text, textSyntax: "MARKDOWN" } }] };
+    });
 }
 
+// --- Retries & Model Fallback ---
+// Preview models often answer 429 (quota) or 5xx (overloaded). Those calls are retried with jittered
+// exponential backoff, bounded by a time budget so synchronous replies stay within Chat's 30-second limit.
+// If a model is still unavailable, the request falls back to the model in MODEL_FALLBACKS.
+
 /**
- * Saves the provided conversation history array to its specific Script Property.
- * Converts the array to a JSON string before saving under `${conversationKey}_history`.
- * If the provided history array is null or empty, deletes the corresponding property.
- * Catches and logs errors (JSON stringification, size limits).
- *
- * @param {string} conversationKey The unique identifier for the conversation (space name).
- * @param {Array<{role: string, parts: Array<{text: string}>}>} history The conversation history array to save.
+ * Reads the retry and fallback policy from Script Properties:
+ * GEMINI_MAX_RETRIES, GEMINI_RETRY_BASE_DELAY_MS, GEMINI_RETRY_MAX_DELAY_MS, GEMINI_RETRY_BUDGET_MS
+ * and MODEL_FALLBACK (ON by default, OFF to disable).
+ * @return {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, budgetMs: number, fallbackEnabled: boolean}}
+ *     The policy.
  */
-function saveConversationHistory(conversationKey, history) {
-    const propertyKey = getHistoryPropertyKey(conversationKey);
-    if (!propertyKey) {
-        console.error(
-            "SAVE_HISTORY: Could not generate property key for:",
-            conversationKey
-        );
-        return; // Cannot save without a key
+function getRetryPolicy() {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const readNumber = (propertyName, defaultValue) => {
+        const configured = parseInt(scriptProperties.getProperty(propertyName), 10);
+        return configured >= 0 ? configured : defaultValue; // NaN (unset or invalid) uses the default
+    };
+    return {
+        maxRetries: readNumber("GEMINI_MAX_RETRIES", DEFAULT_MAX_RETRIES),
+        baseDelayMs: readNumber("GEMINI_RETRY_BASE_DELAY_MS", DEFAULT_RETRY_BASE_DELAY_MS),
+        maxDelayMs: readNumber("GEMINI_RETRY_MAX_DELAY_MS", DEFAULT_RETRY_MAX_DELAY_MS),
+        budgetMs: readNumber("GEMINI_RETRY_BUDGET_MS", DEFAULT_RETRY_BUDGET_MS),
+        fallbackEnabled:
+            (scriptProperties.getProperty("MODEL_FALLBACK") || "ON").toUpperCase() !== "OFF",
+    };
+}
+
+/**
+ * Returns the HTTP client used for Gemini calls. Tests can pass their own object with the same
+ * methods to callGeminiApiWithHistory (requestOptions.httpClient) to stub UrlFetchApp and the clock.
+ * @return {{fetch: function(string, object): object, sleep: function(number), now: function(): number, random: function(): number}}
+ *     The client.
+ */
+function getDefaultHttpClient() {
+    return {
+        fetch: (url, fetchOptions) => UrlFetchApp.fetch(url, fetchOptions),
+        sleep: (milliseconds) => Utilities.sleep(milliseconds),
+        now: () => Date.now(),
+        random: () => Math.random(),
+    };
+}
+
+/**
+ * Returns the model to fall back to when a model stays unavailable.
+ * @param {string} model The model that failed.
+ * @param {{fallbackEnabled: boolean}} retryPolicy The retry policy.
+ * @return {string|null} The fallback model, or null if there is none or fallback is disabled.
+ */
+function getFallbackModel(model, retryPolicy) {
+    if (!retryPolicy.fallbackEnabled) {
+        return null;
     }
+    return MODEL_FALLBACKS[model] || null;
+}
 
-    const scriptProperties = PropertiesService.getScriptProperties();
+/**
+ * Checks whether a response code is worth retrying (rate limiting or a server-side error).
+ * @param {number} responseCode The HTTP status code.
+ * @return {boolean} True if the request should be retried.
+ */
+function isRetryableStatus(responseCode) {
+    return RETRYABLE_STATUS_CODES.includes(responseCode);
+}
 
-    try {
-        // Check if the history array is empty or null/undefined
-        if (!history || !Array.isArray(history) || history.length === 0) {
-            // If it's empty, check if a property currently exists and delete it
-            if (scriptProperties.getProperty(propertyKey) !== null) {
-                scriptProperties.deleteProperty(propertyKey);
-                console.log(
-                    `SAVE_HISTORY: Deleted script property [${propertyKey}] because history array is empty.`
-                );
-            } else {
-                // If it's empty and no property exists, do nothing
-                // console.log( // Less verbose
-                //   `SAVE_HISTORY: History array is empty, and no script property exists for [${propertyKey}]. No action needed.`
-                // );
+/**
+ * Sends a request, retrying 429/5xx responses and fetch exceptions with jittered exponential backoff
+ * ("full jitter": a random delay between 0 and base * 2^attempt, capped at maxDelayMs). A retry delay
+ * requested by the server (RetryInfo or Retry-After) is used as the minimum. Retrying stops after
+ * maxRetries or when the next attempt would start after the deadline; the first attempt always runs.
+ *
+ * @param {string} url The URL to fetch.
+ * @param {object} fetchOptions The UrlFetchApp options (should set muteHttpExceptions).
+ * @param {object} retryPolicy The policy from getRetryPolicy.
+ * @param {number} deadline Time (as returned by httpClient.now) after which no new attempt is started.
+ * @param {object} httpClient The client from getDefaultHttpClient (or a test stub).
+ * @return {{response: object, attempts: number}} The last response and how many attempts were made.
+ * @throws {Error} The last fetch exception, if the final attempt threw.
+ */
+function fetchWithRetry(url, fetchOptions, retryPolicy, deadline, httpClient) {
+    let attempt = 0;
+    while (true) {
+        attempt++;
+        let response = null;
+        let fetchError = null;
+        try {
+            response = httpClient.fetch(url, fetchOptions);
+            if (!isRetryableStatus(response.getResponseCode())) {
+                return { response, attempts: attempt };
             }
-            return; // Exit the function
+        } catch (e) {
+            fetchError = e;
         }
 
-        // If the history is not empty, proceed to save
-        const jsonHistory = JSON.stringify(history);
-        const historySize = jsonHistory.length;
+        const failure = fetchError ? `exception (${fetchError.message})` : `status ${response.getResponseCode()}`;
+        if (attempt > retryPolicy.maxRetries) {
+            console.warn(`RETRY: Giving up after ${attempt} attempt(s); last failure: ${failure}.`);
+            if (fetchError) {
+                throw fetchError;
+            }
+            return { response, attempts: attempt };
+        }
 
-        console.log(
-            `SAVE_HISTORY: Attempting to save history for property [${propertyKey}]. Entries: ${history.length}. Size: ${historySize} bytes.`
+        const exponentialDelay = Math.min(
+            retryPolicy.maxDelayMs,
+            retryPolicy.baseDelayMs * Math.pow(2, attempt - 1)
         );
-
-        // Check potential size limit (Script Properties values are limited, ~9KB)
-        // Google documentation often states 9KB, but UrlFetch payload limits are 100MB,
-        // Properties service value limit is 9KB. Let's warn around 8.5KB.
-        if (historySize > 8500) {
+        const delayMs = Math.round(
+            Math.max(httpClient.random() * exponentialDelay, getServerRetryDelayMs(response))
+        );
+        if (httpClient.now() + delayMs > deadline) {
             console.warn(
-                `SAVE_HISTORY: History size (${historySize} bytes) for [${propertyKey}] is large and may approach Script Property limits (~9KB). Pruning might be aggressive.`
+                `RETRY: Not retrying after ${failure}: waiting ${delayMs}ms would exceed the time budget (attempt ${attempt}).`
             );
-            // Consider adding logic here for what to do if it's too large,
-            // though pruneHistory should already be limiting it.
-            // This warning indicates that MAX_HISTORY_LENGTH might need adjustment
-            // or the content per message is very large.
+            if (fetchError) {
+                throw fetchError;
+            }
+            return { response, attempts: attempt };
         }
 
-        scriptProperties.setProperty(propertyKey, jsonHistory);
-        // console.log(`SAVE_HISTORY: Successfully saved property [${propertyKey}].`); // Less verbose
-    } catch (e) {
-        // Catch errors during stringify or setProperty
-        const historySizeEstimate = JSON.stringify(history)?.length || "unknown"; // Estimate size for error log
-        console.error(
-            `SAVE_HISTORY: Error stringifying or saving history for property [${propertyKey}] (Size: ~${historySizeEstimate} bytes): ${e}`
-        );
-        // Maybe notify the user? Difficult from here. Could log a specific error for monitoring.
+        console.warn(`RETRY: Attempt ${attempt} failed with ${failure}. Retrying in ${delayMs}ms.`);
+        httpClient.sleep(delayMs);
     }
 }
 
 /**
- * Prunes a conversation history array if it exceeds MAX_HISTORY_LENGTH.
- * Removes oldest entries and ensures it doesn't start with a 'model' message.
- *
- * @param {Array<{role: string, parts: Array<{text: string}>}>} history The history array.
- * @return {Array<{role: string, parts: Array<{text: string}>}>} The potentially pruned history array.
+ * Reads the retry delay a server asked for, from a Retry-After header (in seconds) or the
+ * google.rpc.RetryInfo detail Gemini includes in 429 responses (e.g. "retryDelay": "13s").
+ * @param {object|null} response The HTTP response.
+ * @return {number} The requested delay in milliseconds, or 0 if none was given.
  */
-function pruneHistory(history) {
-    if (!Array.isArray(history)) {
-        console.error("PRUNE_HISTORY: Input is not an array.", history);
-        return []; // Return empty array if input is invalid
+function getServerRetryDelayMs(response) {
+    if (!response) {
+        return 0;
     }
-    if (history.length > MAX_HISTORY_LENGTH) {
-        const itemsToRemove = history.length - MAX_HISTORY_LENGTH;
-        console.log(
-            `PRUNE_HISTORY: Pruning history: Removing oldest ${itemsToRemove} message(s). Original length: ${history.length}`
-        );
-        let pruned = history.slice(itemsToRemove);
-
-        // Ensure history alternates user/model and starts with user if possible after pruning
-        if (pruned.length > 0 && pruned[0].role === "model") {
-            console.warn(
-                "PRUNE_HISTORY: Pruned history starts with 'model'. Removing leading model message."
-            );
-            pruned = pruned.slice(1); // Remove the first element (model message)
-        }
-
-        if (pruned.length === 0 && history.length > 0) {
-            console.warn("PRUNE_HISTORY: History became empty after pruning.");
-        }
-        console.log(`PRUNE_HISTORY: Pruned length: ${pruned.length}`);
-        return pruned;
+    const headers = typeof response.getHeaders === "function" ? response.getHeaders() || {} : {};
+    const retryAfterHeader = Object.keys(headers).find((name) => name.toLowerCase() === "retry-after");
+    const retryAfterSeconds = retryAfterHeader ? Number(headers[retryAfterHeader]) : NaN;
+    if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+        return retryAfterSeconds * 1000;
+    }
+    try {
+        const details = JSON.parse(response.getContentText())?.error?.details || [];
+        const retryInfo = details.find((detail) => String(detail["@type"] || "").endsWith("RetryInfo"));
+        const seconds = parseFloat(retryInfo?.retryDelay);
+        return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+    } catch (e) {
+        return 0; // Not JSON; no delay requested
     }
-    return history; // Return original if no pruning needed
 }
 
 /**
@@ -1004,11 +6826,16 @@ function extractTextAfterMention(messageText, annotations, botUserId) {
 // --- Standard Chat Event Handlers ---
 
 /**
- * Handles ADDED_TO_SPACE event. Generates a welcome message.
+ * Handles ADDED_TO_SPACE event. Generates a welcome message, or a private refusal if the user or space
+ * is not allowed to use the bot (see getAccessDenialReason).
  * @param {Object} event The event object.
  * @return {Object} A Google Chat Card object.
  */
 function onAddToSpace(event) {
+    const accessDeniedResponse = enforceAccessControl(event?.user, event?.space?.name);
+    if (accessDeniedResponse) {
+        return accessDeniedResponse;
+    }
     var message = "";
     const userName = event?.user?.displayName || "there";
     const spaceName = event?.space?.displayName || "this chat";
@@ -1017,9 +6844,15 @@ function onAddToSpace(event) {
         "Gemini Bot";
 
     if (event?.space?.type === "DM") {
-        message = `Thank you for adding me to a DM, ${userName}! I will remember our conversation history automatically.\nUse \`/clearhistory\` or type \`clearhistory\` to reset it, or \`/newchat [your message]\` to start a completely fresh conversation.\nYou can simply type your messages directly to chat with me. For more complex queries, start your message with \`Use pro.\` or use the \`/pro\` command.\nIf you see Gemini from DoIT AI not responding then your query can be too complex to finish in under 30 seconds.`;
+        message = `Thank you for adding me to a DM, ${userName}! I will remember our conversation history automatically.\nUse \`/clearhistory\` or type \`clearhistory\` to reset it, or \`/newchat [your message]\` to start a completely fresh conversation.\nYou can simply type your messages directly to chat with me. For more complex queries, start your message with \`Use pro.\` or use the \`/pro\` command.\nFor longer requests such as \`/pro\`, I first post a "Thinking…" message and update it when the answer is ready.\nUse \`/help\` to see all commands.`;
     } else {
-        message = `Thank you for adding me to ${spaceName}, ${userName}!\nIn group chats, please @mention me (\`@${botDisplayName}\`) or use slash commands:\n • \`@${botDisplayName} [your message]\` will respond\n • \`@${botDisplayName} clearhistory\` clears history\n • \`/chat [your message]\`\n • \`/pro [your message]\` (for complex queries)\n • \`/newchat [your message]\`\n • \`/clearhistory\`\n • \`/source\``;
+        // New rooms keep one history per thread (see getHistoryScope)
+        const spaceSettings = event?.space?.name ? loadSpaceSettings(event.space.name) : null;
+        if (spaceSettings && !spaceSettings.historyScope) {
+            saveSpaceSettings(event.space.name, { ...spaceSettings, historyScope: HISTORY_SCOPE_THREAD });
+        }
+        const commandList = COMMAND_REGISTRY.map((command) => ` • \`${formatCommandUsage(command)}\``).join("\n");
+        message = `Thank you for adding me to ${spaceName}, ${userName}!\nIn group chats, please @mention me (\`@${botDisplayName}\`) or use slash commands:\n • \`@${botDisplayName} [your message]\` will respond\n • \`@${botDisplayName} clearhistory\` clears history\n${commandList}\nEach thread keeps its own conversation history, and I reply in the thread you asked in.`;
     }
     console.log(
         "onAddToSpace triggered. Space Type:",
@@ -1031,13 +6864,13 @@ function onAddToSpace(event) {
 }
 
 /**
- * Handles REMOVED_FROM_SPACE event. Cleans up history for that space.
+ * Handles REMOVED_FROM_SPACE event. Cleans up history (including every thread) and settings for that space.
  * @param {Object} event The event object.
  * @return {void} Does not return a message.
  */
 function onRemoveFromSpace(event) {
     const userName = event?.user?.displayName || "Someone";
-    const spaceId = event?.space?.name; // This is the conversationKey
+    const spaceId = event?.space?.name; // Prefix of every conversationKey in this space
     const spaceDisplayName =
         event?.space?.displayName || spaceId || "Unknown Space";
 
@@ -1049,30 +6882,15 @@ function onRemoveFromSpace(event) {
         return;
     }
 
-    const propertyKey = getHistoryPropertyKey(spaceId);
-    if (!propertyKey) {
-        console.error(
-            "onRemoveFromSpace: Could not generate property key for:",
-            spaceId
-        );
-        return;
-    }
-    const scriptProperties = PropertiesService.getScriptProperties();
-
     try {
-        if (scriptProperties.getProperty(propertyKey) !== null) {
-            scriptProperties.deleteProperty(propertyKey);
-            console.log(
-                `Cleared history (deleted property ${propertyKey}) for space ${spaceId} upon removal.`
-            );
-        } else {
-            console.log(
-                `No history property (${propertyKey}) found for space ${spaceId} to clear upon removal.`
-            );
-        }
+        const clearedCount = clearAllHistoryForSpace(spaceId);
+        console.log(
+            `Cleared ${clearedCount} history properties for space ${spaceId} upon removal.`
+        );
+        saveSpaceSettings(spaceId, {}); // Deletes the space's settings property
     } catch (e) {
         console.error(
-            `Error clearing history property ${propertyKey} for space ${spaceId} on removal: ${e}`
+            `Error clearing history for space ${spaceId} on removal: ${e}`
         );
     }
 }
@@ -1091,10 +6909,8 @@ function testGeminiChat() {
     console.log("--- Starting Test Gemini Chat (End-to-End) ---");
     try {
         // Clear history before test to ensure clean slate
-        const scriptProperties = PropertiesService.getScriptProperties();
         const historyPropertyKey = getHistoryPropertyKey(testSpaceName);
-        if (historyPropertyKey && scriptProperties.getProperty(historyPropertyKey)) {
-            scriptProperties.deleteProperty(historyPropertyKey);
+        if (historyPropertyKey && deleteChunkedValue(getHistoryStore(), historyPropertyKey)) {
             console.log(`History cleared for ${testSpaceName} before test.`);
         }
 
@@ -1127,9 +6943,9 @@ function testGeminiSimpleMessage() {
         { role: "user", parts: [{ text: "Hello, describe the color blue in 5 words." }] }
     ];
     const response = callGeminiApiWithHistory(history, GEMINI_MODEL);
-    console.log("Response:", response);
+    console.log("Response:", response.text);
 
-    if (response && !response.startsWith("Sorry,")) {
+    if (!isGeminiErrorResponse(response)) {
         console.log("SUCCESS: Received valid response.");
     } else {
         console.error("FAILURE: API call returned error or empty response.");
@@ -1147,9 +6963,9 @@ function testGeminiProModel() {
     ];
     // Intentionally using GEMINI_PRO_MODEL
     const response = callGeminiApiWithHistory(history, GEMINI_PRO_MODEL);
-    console.log("Pro Model Response:", response);
+    console.log("Pro Model Response:", response.text);
 
-    if (response && !response.startsWith("Sorry,")) {
+    if (!isGeminiErrorResponse(response)) {
         console.log("SUCCESS: Received valid response from Pro model.");
     } else {
         console.error("FAILURE: Pro API call returned error.");
@@ -1169,11 +6985,11 @@ function testGeminiWithHistory() {
     ];
 
     const response = callGeminiApiWithHistory(history, GEMINI_MODEL);
-    console.log("History Response:", response);
+    console.log("History Response:", response.text);
 
-    if (response && response.toLowerCase().includes("green")) {
+    if (!isGeminiErrorResponse(response) && response.text.toLowerCase().includes("green")) {
         console.log("SUCCESS: Model correctly recalled the favorite color.");
-    } else if (response && !response.startsWith("Sorry,")) {
+    } else if (!isGeminiErrorResponse(response)) {
         console.warn("WARNING: Model responded but might not have recalled the fact. Check output manually.");
     } else {
         console.error("FAILURE: API call returned error.");
@@ -1182,6 +6998,511 @@ function testGeminiWithHistory() {
 }
 
 
+/**
+ * Verifies that a history larger than one Script Property is split into chunks,
+ * reassembled intact, and fully removed when cleared.
+ * Runs against an in-memory store with the Script Property size limit, so no real data is touched.
+ */
+function testChunkedHistoryStorage() {
+    console.log("--- Starting Test: Chunked History Storage ---");
+    const memoryStore = createMemoryHistoryStore({}, PROPERTY_CHUNK_MAX_BYTES);
+    setHistoryStore(memoryStore);
+    const testKey = "spaces/CHUNK_TEST_SPACE";
+    const longText = "Chunked history test \u00e9\u4e2d\ud83d\ude00 ".repeat(1500); // Multi-byte characters
+    const history = [
+        { role: "user", parts: [{ text: "Please write a very long answer." }] },
+        { role: "model", parts: [{ text: longText }] },
+    ];
+
+    saveConversationHistory(testKey, history);
+    const loaded = loadConversationHistory(testKey);
+    if (JSON.stringify(loaded) === JSON.stringify(history)) {
+        console.log("SUCCESS: Chunked history was reassembled intact.");
+    } else {
+        console.error("FAILURE: Reassembled history does not match what was saved.");
+    }
+
+    clearAllHistoryForSpace(testKey);
+    const leftovers = memoryStore.keys();
+    if (leftovers.length === 0) {
+        console.log("SUCCESS: No history entries or chunks left after clearing.");
+    } else {
+        console.error(`FAILURE: Leftover entries after clearing: ${leftovers.join(", ")}`);
+    }
+    setHistoryStore(null);
+    console.log("--- Finished Test: Chunked History Storage ---");
+}
+
+/**
+ * Verifies token-budget pruning without calling the API: oldest entries beyond the budget are dropped,
+ * the newest entry is always kept, and the kept history never starts with a 'model' message.
+ */
+function testTokenBudgetPruning() {
+    console.log("--- Starting Test: Token Budget Pruning ---");
+    const history = [
+        { role: "user", parts: [{ text: "first question" }] },
+        { role: "model", parts: [{ text: "first answer" }] },
+        { role: "user", parts: [{ text: "second question" }] },
+        { role: "model", parts: [{ text: "second answer" }] },
+        { role: "user", parts: [{ text: "third question" }] },
+    ];
+    const tokenCounts = [100, 300, 100, 300, 100];
+
+    const { kept, dropped } = splitHistoryForBudget(history, tokenCounts, 500);
+    if (kept.length === 3 && kept[0].role === "user" && dropped.length === 2) {
+        console.log("SUCCESS: Kept the newest turns that fit the budget.");
+    } else {
+        console.error(`FAILURE: Unexpected split. Kept ${kept.length}, dropped ${dropped.length}.`);
+    }
+
+    const tight = splitHistoryForBudget(history, tokenCounts, 350);
+    if (tight.kept.length === 1 && tight.kept[0].parts[0].text === "third question") {
+        console.log("SUCCESS: Leading 'model' entry was dropped with the turns outside the budget.");
+    } else {
+        console.error(`FAILURE: Unexpected tight split. Kept ${tight.kept.length}.`);
+    }
+
+    const tiny = splitHistoryForBudget(history, tokenCounts, 10);
+    if (tiny.kept.length === 1) {
+        console.log("SUCCESS: Newest entry is kept even when it exceeds the budget.");
+    } else {
+        console.error("FAILURE: Newest entry was not kept.");
+    }
+    console.log("--- Finished Test: Token Budget Pruning ---");
+}
+
+/**
+ * Verifies that a turn saved after a concurrent turn is merged into the stored history instead of
+ * overwriting it, using an in-memory history store and no API calls.
+ */
+function testConcurrentTurnMerge() {
+    console.log("--- Starting Test: Concurrent Turn Merge ---");
+    setHistoryStore(createMemoryHistoryStore());
+    const testKey = "spaces/MERGE_TEST_SPACE";
+    const entry = (role, text) => ({ role, parts: [{ text }] });
+    saveConversationHistory(testKey, [entry("user", "first question"), entry("model", "first answer")]);
+
+    // Both turns loaded the same history; Bob's turn is saved first, then Alice's
+    saveTurnToHistory(testKey, { added: [entry("user", "Bob asks"), entry("model", "Bob's answer")] });
+    saveTurnToHistory(testKey, { added: [entry("user", "Alice asks"), entry("model", "Alice's answer")] });
+    const merged = loadConversationHistory(testKey).map((item) => item.parts[0].text);
+    if (merged.length === 6 && merged[2] === "Bob asks" && merged[4] === "Alice asks") {
+        console.log("SUCCESS: Both concurrent turns were kept, in the order they were saved.");
+    } else {
+        console.error(`FAILURE: Unexpected merged history: ${JSON.stringify(merged)}`);
+    }
+
+    // Regenerating Bob's turn after Alice's was saved replaces Bob's turn where it is
+    saveTurnToHistory(testKey, {
+        replaced: [entry("user", "Bob asks"), entry("model", "Bob's answer")],
+        added: [entry("user", "Bob asks"), entry("model", "Bob's new answer")],
+    });
+    const replayed = loadConversationHistory(testKey).map((item) => item.parts[0].text);
+    if (replayed[3] === "Bob's new answer" && replayed[5] === "Alice's answer") {
+        console.log("SUCCESS: The replayed turn replaced only its own entries.");
+    } else {
+        console.error(`FAILURE: Unexpected history after replay: ${JSON.stringify(replayed)}`);
+    }
+
+    // Two turns pruned at once: the first pruned one turn, the second pruned two and summarized them
+    const [firstQuestion, firstAnswer, bobQuestion, bobAnswer] = loadConversationHistory(testKey);
+    saveTurnToHistory(testKey, { dropped: [firstQuestion, firstAnswer], summary: "First turn." });
+    saveTurnToHistory(testKey, {
+        dropped: [firstQuestion, firstAnswer, bobQuestion, bobAnswer],
+        summary: "First turn and Bob's turn.",
+    });
+    // A slower turn that pruned only entries already gone must not save its older summary
+    saveTurnToHistory(testKey, { dropped: [firstQuestion, firstAnswer], summary: "First turn only." });
+    const pruned = loadConversationHistory(testKey).map((item) => item.parts[0].text);
+    const summary = loadConversationSummary(testKey);
+    if (pruned.length === 2 && pruned[0] === "Alice asks" && summary === "First turn and Bob's turn.") {
+        console.log("SUCCESS: Entries pruned by either turn were removed and the newest summary was kept.");
+    } else {
+        console.error(`FAILURE: Unexpected history after pruning: ${JSON.stringify(pruned)}, summary: ${summary}`);
+    }
+    setHistoryStore(null);
+    console.log("--- Finished Test: Concurrent Turn Merge ---");
+}
+
+/**
+ * Verifies that /undo and the /history viewer's Forget button act only on the caller's own exchanges in a
+ * space (unless the caller is a space manager or admin). Uses an in-memory history store and no API calls.
+ */
+function testHistoryOwnership() {
+    console.log("--- Starting Test: History Ownership ---");
+    setHistoryStore(createMemoryHistoryStore());
+    const testSpace = "spaces/OWNERSHIP_TEST_SPACE";
+    const alice = { name: "users/OWNERSHIP_TEST_ALICE", displayName: "Alice" };
+    const bob = { name: "users/OWNERSHIP_TEST_BOB", displayName: "Bob" };
+    const question = (user, text) => ({ role: "user", author: user.name, parts: [{ text }] });
+    const answer = (text) => ({ role: "model", parts: [{ text }] });
+    saveConversationHistory(testSpace, [
+        question(alice, "Alice asks"),
+        answer("Alice's answer"),
+        question(bob, "Bob asks"),
+        answer("Bob's answer"),
+    ]);
+
+    handleUndoCommand(testSpace, alice, "ROOM");
+    const afterUndo = loadConversationHistory(testSpace).map((entry) => entry.parts[0].text);
+    if (afterUndo.join("|") === "Bob asks|Bob's answer") {
+        console.log("SUCCESS: /undo removed the caller's own exchange and kept a later one by someone else.");
+    } else {
+        console.error(`FAILURE: Unexpected history after /undo: ${JSON.stringify(afterUndo)}`);
+    }
+
+    const forgetClick = (user) =>
+        handleHistoryViewerAction({ user, space: { name: testSpace, type: "ROOM" } }, ACTION_FORGET_HISTORY_ENTRY, {
+            conversationKey: testSpace,
+            index: "0",
+            fingerprint: getHistoryEntryFingerprint(loadConversationHistory(testSpace)[0]),
+        });
+    forgetClick(alice);
+    const afterRefusal = loadConversationHistory(testSpace).length;
+    forgetClick(bob);
+    const afterForget = loadConversationHistory(testSpace).length;
+    if (afterRefusal === 2 && afterForget === 0) {
+        console.log("SUCCESS: Only the author could forget the exchange.");
+    } else {
+        console.error(`FAILURE: History length after someone else's click: ${afterRefusal}, after the author's: ${afterForget}`);
+    }
+    setHistoryStore(null);
+    console.log("--- Finished Test: History Ownership ---");
+}
+
+/**
+ * Verifies retries with backoff and the fallback from the Pro model, against a stubbed HTTP client
+ * (no real requests are made and no time is spent sleeping).
+ */
+function testGeminiRetryAndFallback() {
+    console.log("--- Starting Test: Retry & Model Fallback ---");
+    const createStubClient = (responsesByModel) => {
+        const client = { calls: [], sleptMs: 0, clock: 0 };
+        client.fetch = (url) => {
+            const model = Object.keys(responsesByModel).find((name) => url.includes(`/models/${name}:`));
+            client.calls.push(model);
+            const [code, body] = responsesByModel[model].shift() || [503, { error: { message: "overloaded" } }];
+            return { getResponseCode: () => code, getContentText: () => JSON.stringify(body), getHeaders: () => ({}) };
+        };
+        client.sleep = (milliseconds) => {
+            client.sleptMs += milliseconds;
+            client.clock += milliseconds;
+        };
+        client.now = () => client.clock;
+        client.random = () => 0.5;
+        return client;
+    };
+    const okBody = (text) => ({ candidates: [{ content: { parts: [{ text }] }, finishReason: "STOP" }] });
+    const history = [{ role: "user", parts: [{ text: "Hello" }] }];
+    const retryPolicy = { maxRetries: 2, baseDelayMs: 100, maxDelayMs: 1000, budgetMs: 10000, fallbackEnabled: true };
+
+    const flakyClient = createStubClient({ [GEMINI_MODEL]: [[503, {}], [429, {}], [200, okBody("Recovered")]] });
+    const retried = callGeminiApiWithHistory(history, GEMINI_MODEL, { retryPolicy, httpClient: flakyClient });
+    if (!isGeminiErrorResponse(retried) && retried.text === "Recovered" && flakyClient.calls.length === 3) {
+        console.log(`SUCCESS: Recovered after 2 retries (slept ${flakyClient.sleptMs}ms).`);
+    } else {
+        console.error(`FAILURE: Retry result: ${JSON.stringify(retried)}, calls: ${flakyClient.calls.length}`);
+    }
+
+    const fallbackClient = createStubClient({ [GEMINI_PRO_MODEL]: [], [GEMINI_MODEL]: [[200, okBody("From flash")]] });
+    const fellBack = callGeminiApiWithHistory(history, GEMINI_PRO_MODEL, { retryPolicy, httpClient: fallbackClient });
+    if (fellBack.model === GEMINI_MODEL && fellBack.fallbackFrom === GEMINI_PRO_MODEL && fallbackClient.calls.length === 4) {
+        console.log("SUCCESS: Fell back to the default model after the Pro model stayed unavailable.");
+    } else {
+        console.error(`FAILURE: Fallback result: ${JSON.stringify(fellBack)}, calls: ${fallbackClient.calls.join(", ")}`);
+    }
+
+    const budgetClient = createStubClient({ [GEMINI_MODEL]: [] });
+    const outOfBudget = callGeminiApiWithHistory(history, GEMINI_MODEL, {
+        retryPolicy: { ...retryPolicy, maxRetries: 10, budgetMs: 0 },
+        httpClient: budgetClient,
+    });
+    if (isGeminiErrorResponse(outOfBudget) && budgetClient.calls.length === 1) {
+        console.log("SUCCESS: No retries were attempted beyond the time budget.");
+    } else {
+        console.error(`FAILURE: Budget result: ${JSON.stringify(outOfBudget)}, calls: ${budgetClient.calls.length}`);
+    }
+    console.log("--- Finished Test: Retry & Model Fallback ---");
+}
+
+/**
+ * Tests that every non-thought part of an answer is kept: split text, code and its output, inline images.
+ * Uses a stubbed HTTP client, so no API call is made. The image is saved to Drive (saveResponseMedia) and
+ * deleted again when the test conversation's history is cleared.
+ */
+function testMultiPartResponse() {
+    console.log("--- Starting Test: Multi-Part Responses ---");
+    const createStubClient = (parts) => ({
+        fetch: () => ({
+            getResponseCode: () => 200,
+            getContentText: () => JSON.stringify({ candidates: [{ content: { parts }, finishReason: "STOP" }] }),
+            getHeaders: () => ({}),
+        }),
+        sleep: () => {},
+        now: () => 0,
+        random: () => 0.5,
+    });
+    const history = [{ role: "user", parts: [{ text: "Hello" }] }];
+
+    const split = callGeminiApiWithHistory(history, GEMINI_MODEL, {
+        httpClient: createStubClient([{ text: "Thinking…", thought: true }, { text: "The answer is " }, { text: "42." }]),
+    });
+    if (split.text === "The answer is 42." && split.parts.length === 1) {
+        console.log("SUCCESS: Text split across parts was joined, without the thought.");
+    } else {
+        console.error(`FAILURE: Split text result: ${JSON.stringify(split)}`);
+    }
+
+    const mixed = callGeminiApiWithHistory(history, GEMINI_MODEL, {
+        httpClient: createStubClient([
+            { text: "Here is a chart." },
+            { executableCode: { language: "PYTHON", code: "print(6 * 7)" } },
+            { codeExecutionResult: { outcome: "OUTCOME_OK", output: "42\n" } },
+            { inlineData: { mimeType: "image/png", data: Utilities.base64Encode("not really a png") } },
+        ]),
+    });
+    const types = (mixed.parts || []).map((part) => part.type).join(",");
+    const stored = toHistoryParts(mixed.parts || []);
+    if (types === "text,code,codeResult,media" && !JSON.stringify(stored).includes(mixed.parts[3].data)) {
+        console.log("SUCCESS: Code, output and image parts were kept in order, and no raw bytes would be stored.");
+    } else {
+        console.error(`FAILURE: Mixed parts: ${types}, stored: ${JSON.stringify(stored)}`);
+    }
+
+    const saved = saveResponseMedia(mixed.parts || [], Session.getEffectiveUser().getEmail());
+    const media = saved.find((part) => part.type === "media") || {};
+    const savedHistory = toHistoryParts(saved);
+    if (media.fileId && media.url && !media.data && JSON.stringify(savedHistory).includes(media.fileId)) {
+        console.log(`SUCCESS: The image was saved to Drive (${media.url}) and the history keeps a reference to it.`);
+    } else {
+        console.error(`FAILURE: Saved media part: ${JSON.stringify(media)}`);
+    }
+
+    setHistoryStore(createMemoryHistoryStore());
+    const testSpace = "spaces/MEDIA_TEST_SPACE";
+    saveConversationHistory(testSpace, [
+        { role: "user", parts: [{ text: "Draw a chart" }] },
+        { role: "model", parts: savedHistory },
+    ]);
+    clearAllHistoryForSpace(testSpace);
+    let fileRemains = Boolean(media.fileId);
+    try {
+        fileRemains = fileRemains && Boolean(Drive.Files.get(media.fileId, { fields: "id" }));
+    } catch (e) {
+        fileRemains = false; // Not found: the file was deleted
+    }
+    if (media.fileId && !fileRemains) {
+        console.log("SUCCESS: Clearing the history deleted the saved image.");
+    } else {
+        console.error(`FAILURE: The saved image ${media.fileId} was not deleted with the history.`);
+    }
+    setHistoryStore(null);
+    console.log("--- Finished Test: Multi-Part Responses ---");
+}
+
+/**
+ * Verifies the local function handlers (date_math, convert_units, lookup_sheet against a stubbed sheet) and
+ * the function-calling loop: built-in tools are left out, results are sent back, and no new round starts
+ * once the time budget is used up. Uses a stubbed HTTP client, so no API call is made.
+ */
+function testLocalFunctionTools() {
+    console.log("--- Starting Test: Local Function Tools ---");
+    const check = (description, actual, expected) => {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+            console.log(`SUCCESS: ${description}`);
+        } else {
+            console.error(`FAILURE: ${description}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    };
+    const errorOf = (callback) => {
+        try {
+            callback();
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    };
+
+    check(
+        "Adding a month to Jan 31 lands on the month's last day.",
+        runDateMath({ operation: "add", date: "2024-01-31", amount: 1, unit: "months" }),
+        { date: "2024-02-29", weekday: "Thursday" }
+    );
+    check(
+        "Days between two dates are counted.",
+        runDateMath({ operation: "difference", date: "2024-03-01", other_date: "2024-02-01" }),
+        { days: -29 }
+    );
+    check(
+        "An invalid date is refused.",
+        errorOf(() => runDateMath({ operation: "weekday", date: "2024-02-30" })),
+        'date must be a date as YYYY-MM-DD or "today".'
+    );
+
+    check("Miles are converted to kilometres.", convertUnits({ value: 10, from: "mi", to: "km" }), {
+        value: 16.09344,
+        unit: "km",
+    });
+    check("Temperatures are converted.", convertUnits({ value: 212, from: "f", to: "C" }), { value: 100, unit: "C" });
+    check(
+        "Units of different kinds are refused.",
+        errorOf(() => convertUnits({ value: 1, from: "kg", to: "km" })),
+        'Can\'t convert from "kg" to "km". Both units must be of the same kind.'
+    );
+
+    const sheet = {
+        getDataRange: () => ({
+            getDisplayValues: () => [
+                ["Name", "Team"],
+                ["Ada", "Platform"],
+                ["Grace", "Compilers"],
+                ["Linus", "Platform"],
+            ],
+        }),
+    };
+    check("Rows matching in a column are returned as objects.", lookupSheetRows({ query: "platform", column: "team" }, sheet), {
+        matches: [
+            { Name: "Ada", Team: "Platform" },
+            { Name: "Linus", Team: "Platform" },
+        ],
+        totalMatches: 2,
+    });
+    check(
+        "An unknown column is refused.",
+        errorOf(() => lookupSheetRows({ query: "ada", column: "Office" }, sheet)),
+        "Unknown column \"Office\". Columns: Name, Team."
+    );
+
+    const createStubClient = (bodies, msPerCall = 0) => {
+        const client = { payloads: [], clock: 0 };
+        client.fetch = (url, options) => {
+            client.payloads.push(JSON.parse(options.payload));
+            client.clock += msPerCall;
+            const body = bodies.shift();
+            return { getResponseCode: () => 200, getContentText: () => JSON.stringify(body), getHeaders: () => ({}) };
+        };
+        client.sleep = () => {};
+        client.now = () => client.clock;
+        client.random = () => 0.5;
+        return client;
+    };
+    const callBody = {
+        candidates: [
+            {
+                content: {
+                    role: "model",
+                    parts: [{ functionCall: { name: "convert_units", args: { value: 1, from: "km", to: "m" } } }],
+                },
+                finishReason: "STOP",
+            },
+        ],
+    };
+    const answerBody = { candidates: [{ content: { parts: [{ text: "1 km is 1000 m." }] }, finishReason: "STOP" }] };
+    const history = [{ role: "user", parts: [{ text: "How many metres in a km?" }] }];
+    const tools = ["googleSearch", "urlContext", FUNCTION_TOOLS_KEY];
+
+    const loopClient = createStubClient([callBody, answerBody]);
+    const answered = callGeminiApiWithHistory(history, GEMINI_MODEL, { tools, httpClient: loopClient });
+    const [firstPayload, secondPayload] = loopClient.payloads;
+    const sentResult = secondPayload?.contents[secondPayload.contents.length - 1].parts[0].functionResponse;
+    check(
+        "Only the function declarations were sent, and the function result went back to the model.",
+        {
+            tools: (firstPayload?.tools || []).map((tool) => Object.keys(tool)[0]),
+            result: sentResult?.response,
+            text: answered.text,
+        },
+        { tools: ["functionDeclarations"], result: { result: { value: 1000, unit: "m" } }, text: "1 km is 1000 m." }
+    );
+
+    const slowClient = createStubClient([callBody, callBody, answerBody], 10000);
+    const stopped = callGeminiApiWithHistory(history, GEMINI_MODEL, {
+        tools,
+        httpClient: slowClient,
+        functionCallBudgetMs: 15000,
+    });
+    check(
+        "No new round started once the function call budget was used up.",
+        { isError: isGeminiErrorResponse(stopped), calls: slowClient.payloads.length },
+        { isError: true, calls: 2 }
+    );
+    console.log("--- Finished Test: Local Function Tools ---");
+}
+
+/**
+ * Verifies prompt directive parsing, that a command refuses an invalid directive before its side
+ * effects run (/newchat must not clear the history), and that a !private turn is not saved to the shared
+ * history. Uses an in-memory history store and a stubbed HTTP client, so no API call is made.
+ */
+function testPromptDirectives() {
+    console.log("--- Starting Test: Prompt Directives ---");
+    const parsed = parsePromptDirectives("!pro !think=HIGH !nosearch !private What is 6 * 7? !notadirective");
+    const { directives } = parsed;
+    if (
+        parsed.errors.length === 0 &&
+        parsed.prompt === "What is 6 * 7? !notadirective" &&
+        directives.model === GEMINI_PRO_MODEL &&
+        directives.thinkingLevel === "HIGH" &&
+        directives.toolOverrides.googleSearch === false &&
+        directives.isPrivate
+    ) {
+        console.log("SUCCESS: Leading directives were applied and removed; the rest of the prompt was kept.");
+    } else {
+        console.error(`FAILURE: Unexpected parse result: ${JSON.stringify(parsed)}`);
+    }
+
+    const invalid = parsePromptDirectives("!typo !think=medium !private=yes question");
+    if (invalid.errors.length === 3 && invalid.prompt === "question") {
+        console.log("SUCCESS: Unknown directives and invalid values were reported.");
+    } else {
+        console.error(`FAILURE: Unexpected errors: ${JSON.stringify(invalid.errors)}`);
+    }
+
+    setHistoryStore(createMemoryHistoryStore());
+    const testSpace = "spaces/DIRECTIVE_TEST_SPACE";
+    saveConversationHistory(testSpace, [{ role: "user", parts: [{ text: "keep me" }] }]);
+    const result = runCommand(COMMAND_REGISTRY.find((command) => command.name === "newchat"), {
+        user: { name: "users/DIRECTIVE_TEST_USER", displayName: "Tester" },
+        conversationKey: testSpace,
+        spaceName: testSpace,
+        spaceType: "DM",
+        argumentText: "!typo question",
+        invokedAs: "/newchat",
+    });
+    if (result.response && loadConversationHistory(testSpace).length === 1) {
+        console.log("SUCCESS: /newchat with an invalid directive was refused and the history was kept.");
+    } else {
+        console.error(`FAILURE: /newchat result: ${JSON.stringify(result)}, history: ${JSON.stringify(loadConversationHistory(testSpace))}`);
+    }
+
+    // A !private turn is answered privately and leaves the shared history unchanged
+    const historyBefore = JSON.stringify(loadConversationHistory(testSpace));
+    const privateReply = handleConversationTurn(testSpace, "What is 6 * 7?", GEMINI_MODEL, {
+        viewer: { name: "users/DIRECTIVE_TEST_USER" },
+        httpClient: {
+            fetch: () => ({
+                getResponseCode: () => 200,
+                getContentText: () =>
+                    JSON.stringify({ candidates: [{ content: { parts: [{ text: "42." }] }, finishReason: "STOP" }] }),
+                getHeaders: () => ({}),
+            }),
+            sleep: () => {},
+            now: () => 0,
+            random: () => 0.5,
+        },
+    });
+    if (
+        privateReply?.privateMessageViewer?.name === "users/DIRECTIVE_TEST_USER" &&
+        JSON.stringify(loadConversationHistory(testSpace)) === historyBefore
+    ) {
+        console.log("SUCCESS: The private turn was answered privately and not added to the shared history.");
+    } else {
+        console.error(`FAILURE: Private reply: ${JSON.stringify(privateReply)}, history: ${JSON.stringify(loadConversationHistory(testSpace))}`);
+    }
+    setHistoryStore(null);
+    console.log("--- Finished Test: Prompt Directives ---");
+}
+
 /**
  * Test function for onMessage.
  * Simulates an event object and calls onMessage.